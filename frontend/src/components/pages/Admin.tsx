@@ -1,7 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import apiService from '../../services/api';
-import type { AdminStats, AdminUser, AdminUsers, AdminMonitoring, AdminPorts } from '../../types';
+import type { AdminStats, AdminUser, AdminUsers, AdminMonitoring, AdminPorts, LogFilter } from '../../types';
+
+const LOG_PAGE_LINES = 100;
+const EMPTY_LOG_FILTER: LogFilter = { q: '', address: '', ip: '' };
+
+// Log lines are read server side: the last lines of the file, matching the filters, before a byte offset
+const getLogQuery = (filename: string, filter: LogFilter, params: Record<string, string | number>) => {
+  const query = new URLSearchParams({ file: filename });
+  (Object.keys(filter) as (keyof LogFilter)[]).forEach((key) => {
+    if (filter[key].trim()) query.set(key, filter[key].trim());
+  });
+  Object.entries(params).forEach(([key, value]) => query.set(key, String(value)));
+  return `/admin_log?${query.toString()}`;
+};
 
 const Admin: React.FC = () => {
   const navigate = useNavigate();
@@ -18,10 +31,12 @@ const Admin: React.FC = () => {
   const [adminMonitoring, setAdminMonitoring] = useState<AdminMonitoring | null>(null);
   const [adminPorts, setAdminPorts] = useState<AdminPorts | null>(null);
   const [selectedLogFile, setSelectedLogFile] = useState<string>('');
-  const [allLogLines, setAllLogLines] = useState<string[]>([]);
   const [displayedLogLines, setDisplayedLogLines] = useState<string[]>([]);
-  const [logOffset, setLogOffset] = useState(0);
+  const [logStart, setLogStart] = useState(0);
   const [hasMoreLogs, setHasMoreLogs] = useState(true);
+  const [logFilter, setLogFilter] = useState<LogFilter>(EMPTY_LOG_FILTER);
+  const [appliedLogFilter, setAppliedLogFilter] = useState<LogFilter>(EMPTY_LOG_FILTER);
+  const [logFollow, setLogFollow] = useState(false);
   const [logScrollRef, setLogScrollRef] = useState<HTMLDivElement | null>(null);
 
   // Sorting state
@@ -106,25 +121,30 @@ const Admin: React.FC = () => {
     }
   };
 
-  const fetchLogFile = async (filename: string, switchToLogsTab = false) => {
+  const fetchLogLines = async (filename: string, filter: LogFilter, end?: number) => {
+    const params: Record<string, string | number> = { tail: LOG_PAGE_LINES };
+    if (end !== undefined) params.end = end;
+    const response = await fetchWithAuth(getLogQuery(filename, filter, params));
+    if (!response.ok) return null;
+    const text = await response.text();
+    return {
+      lines: text.split('\n').filter(line => line.trim()),
+      start: parseInt(response.headers.get('X-Log-Start') || '0', 10)
+    };
+  };
+
+  const fetchLogFile = async (filename: string, switchToLogsTab = false, filter: LogFilter = appliedLogFilter) => {
     setSelectedLogFile(filename);
     setLoading(true);
-    setAllLogLines([]);
     setDisplayedLogLines([]);
-    setLogOffset(0);
+    setLogStart(0);
     setHasMoreLogs(true);
     try {
-      const response = await fetchWithAuth(`/admin_log?file=${encodeURIComponent(filename)}`);
-      if (response.ok) {
-        const text = await response.text();
-        const lines = text.split('\n').filter(line => line.trim());
-        setAllLogLines(lines);
-
-        // Get last 100 lines
-        const last100Lines = lines.slice(-100);
-        setDisplayedLogLines(last100Lines);
-        setLogOffset(Math.max(0, lines.length - 100));
-        setHasMoreLogs(lines.length > 100);
+      const result = await fetchLogLines(filename, filter);
+      if (result) {
+        setDisplayedLogLines(result.lines);
+        setLogStart(result.start);
+        setHasMoreLogs(result.start > 0);
 
         if (switchToLogsTab) {
           setActiveTab('logs');
@@ -146,16 +166,21 @@ const Admin: React.FC = () => {
     }
   };
 
-  const loadMoreLogs = () => {
-    if (!hasMoreLogs || logOffset <= 0) return;
+  const loadMoreLogs = async () => {
+    if (!hasMoreLogs || logStart <= 0 || !selectedLogFile) return;
 
-    const prevLineCount = Math.min(100, logOffset);
-    const newOffset = Math.max(0, logOffset - prevLineCount);
-    const prevLines = allLogLines.slice(newOffset, logOffset);
-
-    setDisplayedLogLines([...prevLines, ...displayedLogLines]);
-    setLogOffset(newOffset);
-    setHasMoreLogs(newOffset > 0);
+    setLoading(true);
+    try {
+      const result = await fetchLogLines(selectedLogFile, appliedLogFilter, logStart);
+      if (!result) return;
+      setDisplayedLogLines((lines) => [...result.lines, ...lines]);
+      setLogStart(result.start);
+      setHasMoreLogs(result.start > 0);
+    } catch {
+      return;
+    } finally {
+      setLoading(false);
+    }
 
     // Keep scroll position
     setTimeout(() => {
@@ -166,6 +191,33 @@ const Admin: React.FC = () => {
     }, 50);
   };
 
+  const handleLogFilterSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    setAppliedLogFilter(logFilter);
+    if (selectedLogFile) fetchLogFile(selectedLogFile, false, logFilter);
+  };
+
+  const clearLogFilter = () => {
+    setLogFilter(EMPTY_LOG_FILTER);
+    setAppliedLogFilter(EMPTY_LOG_FILTER);
+    if (selectedLogFile) fetchLogFile(selectedLogFile, false, EMPTY_LOG_FILTER);
+  };
+
+  // Live follow: new lines of the selected file (matching the filters) are streamed as server-sent events
+  useEffect(() => {
+    if (!logFollow || !selectedLogFile || !storedPassword) return;
+
+    const query = getLogQuery(selectedLogFile, appliedLogFilter, { follow: 1, password: storedPassword });
+    const source = new EventSource(`${apiService.getBaseUrl()}${query}`);
+    source.onmessage = (event) => {
+      setDisplayedLogLines((lines) => [...lines, event.data]);
+      setTimeout(() => {
+        logScrollRef?.scrollTo({ top: logScrollRef.scrollHeight, behavior: 'smooth' });
+      }, 50);
+    };
+    return () => source.close();
+  }, [logFollow, selectedLogFile, appliedLogFilter, storedPassword, logScrollRef]);
+
   const handleLogScroll = (e: React.UIEvent<HTMLDivElement>) => {
     const target = e.target as HTMLDivElement;
     if (target.scrollTop < 50 && hasMoreLogs && !loading) {
@@ -713,6 +765,76 @@ const Admin: React.FC = () => {
                 </select>
               </div>
             )}
+            {selectedLogFile && (
+              <form onSubmit={handleLogFilterSubmit} style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '16px' }}>
+                {([
+                  ['q', 'Search text...'],
+                  ['address', 'Miner address...'],
+                  ['ip', 'IP address...']
+                ] as [keyof LogFilter, string][]).map(([key, placeholder]) => (
+                  <input
+                    key={key}
+                    type="text"
+                    value={logFilter[key]}
+                    placeholder={placeholder}
+                    onChange={(e) => setLogFilter({ ...logFilter, [key]: e.target.value })}
+                    style={{
+                      flex: '1 1 180px',
+                      padding: '8px 12px',
+                      background: 'rgba(255, 255, 255, 0.05)',
+                      border: '1px solid rgba(255, 255, 255, 0.1)',
+                      borderRadius: '8px',
+                      color: '#ffffff',
+                      fontSize: '0.9rem',
+                      outline: 'none'
+                    }}
+                  />
+                ))}
+                <button
+                  type="submit"
+                  disabled={loading}
+                  style={{
+                    padding: '8px 16px',
+                    background: 'rgb(255, 192, 251)',
+                    border: 'none',
+                    borderRadius: '8px',
+                    color: '#000000',
+                    fontWeight: 600,
+                    cursor: loading ? 'not-allowed' : 'pointer'
+                  }}
+                >
+                  Filter
+                </button>
+                <button
+                  type="button"
+                  onClick={clearLogFilter}
+                  style={{
+                    padding: '8px 16px',
+                    background: 'rgba(255, 255, 255, 0.05)',
+                    border: '1px solid rgba(255, 255, 255, 0.1)',
+                    borderRadius: '8px',
+                    color: '#ffffff',
+                    cursor: 'pointer'
+                  }}
+                >
+                  Clear
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setLogFollow(!logFollow)}
+                  style={{
+                    padding: '8px 16px',
+                    background: logFollow ? 'rgb(255, 192, 251)' : 'rgba(255, 255, 255, 0.05)',
+                    border: logFollow ? '1px solid rgb(255, 192, 251)' : '1px solid rgba(255, 255, 255, 0.1)',
+                    borderRadius: '8px',
+                    color: logFollow ? '#000000' : '#ffffff',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {logFollow ? 'Following' : 'Follow'}
+                </button>
+              </form>
+            )}
             <div
               ref={setLogScrollRef}
               onScroll={handleLogScroll}
@@ -760,7 +882,7 @@ const Admin: React.FC = () => {
                     fontSize: '0.7rem',
                     textAlign: 'center'
                   }}>
-                    Showing {displayedLogLines.length} of {allLogLines.length} lines
+                    Showing {displayedLogLines.length} lines{logFollow && ' • following new lines'}
                   </div>
                 </>
               )}
@@ -6,7 +6,16 @@ import { faClock } from '@fortawesome/free-solid-svg-icons';
 import apiService from '../../services/api';
 import moment from 'moment';
 import config from '../../config/pool';
-import type { PoolConfig, MinerStats, Payment, WorkerStats, MinerBlock } from '../../types';
+import type { PoolConfig, MinerStats, Payment, WorkerStats, MinerBlock, RejectCounts } from '../../types';
+
+const rejectReasons: Array<[keyof RejectCounts, string]> = [
+  ['staleJob', 'Stale job'],
+  ['lowDifficulty', 'Low difficulty'],
+  ['badHash', 'Bad hash'],
+  ['duplicate', 'Duplicate'],
+  ['malformedNonce', 'Malformed nonce'],
+  ['expiredTemplate', 'Expired template']
+];
 
 const Miner: React.FC = () => {
   const { address } = useParams<{ address: string }>();
@@ -123,6 +132,19 @@ const Miner: React.FC = () => {
     return value.toString();
   };
 
+  const totalRejects = (rejects: RejectCounts | undefined): number => {
+    if (!rejects) return 0;
+    return rejectReasons.reduce((total, [reason]) => total + (rejects[reason] || 0), 0);
+  };
+
+  const formatRejects = (rejects: RejectCounts | undefined): string => {
+    if (!rejects) return '';
+    return rejectReasons
+      .filter(([reason]) => rejects[reason])
+      .map(([reason, label]) => `${label}: ${rejects[reason]}`)
+      .join(', ');
+  };
+
   const formatAmount = (amount: number | string | undefined): string => {
     if (amount === undefined || amount === null) return '0';
     const value = typeof amount === 'string' ? parseFloat(amount) : amount;
@@ -336,6 +358,15 @@ const Miner: React.FC = () => {
             <div className="value">{formatLargeNumber(stats.roundHashes as number | undefined)}</div>
           )}
         </div>
+        <div className="stat-card pair-half">
+          <div className="label">Rejected Shares</div>
+          <div className="value">{formatLargeNumber(totalRejects(minerStats.rejects))}</div>
+          {totalRejects(minerStats.rejects) > 0 && (
+            <div style={{ fontSize: '0.75rem', color: 'rgba(255, 255, 255, 0.5)', marginTop: '2px' }}>
+              {formatRejects(minerStats.rejects)}
+            </div>
+          )}
+        </div>
         <div className="stat-card full-width-mobile">
           <div className="label">Balance</div>
           <div className="value accent">
@@ -624,6 +655,7 @@ const Miner: React.FC = () => {
                           )}
                         </span>
                       </th>
+                      <th style={{ padding: '16px', color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.75rem', fontWeight: 600 }}>Rejected</th>
                       <th style={{ padding: '16px', color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.75rem', fontWeight: 600 }}>Last Share</th>
                     </tr>
                   </thead>
@@ -693,6 +725,9 @@ const Miner: React.FC = () => {
                       <td style={{ padding: '16px', color: 'rgba(255, 255, 255, 0.7)', fontSize: '0.875rem' }}>
                         {formatLargeNumber(workerData.hashes as number | undefined)}
                       </td>
+                      <td title={formatRejects(worker.rejects)} style={{ padding: '16px', color: 'rgba(255, 255, 255, 0.7)', fontSize: '0.875rem' }}>
+                        {totalRejects(worker.rejects)}
+                      </td>
                       <td style={{ padding: '16px', color: 'rgba(255, 255, 255, 0.7)', fontSize: '0.875rem' }}>
                         {lastShare ? moment.unix(lastShare).fromNow() : '-'}
                       </td>
@@ -970,6 +1005,7 @@ const Miner: React.FC = () => {
                       <th style={{ padding: '16px', color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.75rem', fontWeight: 600 }}>Amount</th>
                       <th style={{ padding: '16px', color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.75rem', fontWeight: 600 }}>Fee</th>
                       <th style={{ padding: '16px', color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.75rem', fontWeight: 600 }}>TX Hash</th>
+                      <th style={{ padding: '16px', color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.75rem', fontWeight: 600 }}>Status</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -1012,6 +1048,36 @@ const Miner: React.FC = () => {
                             </a>
                           ) : '-'}
                         </td>
+                        <td style={{ padding: '16px' }}>
+                          {payment.status === 'pending' ? (
+                            <span style={{
+                              background: 'rgba(245, 158, 11, 0.1)',
+                              color: '#f59e0b',
+                              padding: '4px 8px',
+                              borderRadius: '4px',
+                              fontSize: '0.75rem',
+                              fontWeight: 600
+                            }}>Pending</span>
+                          ) : payment.status === 'failed' ? (
+                            <span title="The transaction was dropped, the amount was credited back to your balance" style={{
+                              background: 'rgba(239, 68, 68, 0.1)',
+                              color: '#ef4444',
+                              padding: '4px 8px',
+                              borderRadius: '4px',
+                              fontSize: '0.75rem',
+                              fontWeight: 600
+                            }}>Failed</span>
+                          ) : (
+                            <span style={{
+                              background: 'rgba(16, 185, 129, 0.1)',
+                              color: '#10b981',
+                              padding: '4px 8px',
+                              borderRadius: '4px',
+                              fontSize: '0.75rem',
+                              fontWeight: 600
+                            }}>Confirmed</span>
+                          )}
+                        </td>
                       </tr>
                     ))}
                   </tbody>
@@ -48,7 +48,7 @@ const Start: React.FC = () => {
   const generateCommand = (template: string, hostname: string, port: string, software?: typeof config.miningSoftware[0]): string => {
     let finalUsername = soloMining ? `solo:${username}` : username;
     if (fixedDiffEnabled && fixedDiffValue) {
-      const separator = poolConfig?.fixedDiffSeparator || '.';
+      const separator = poolConfig?.fixedDiffSeparator || '+';
       finalUsername = `${finalUsername}${separator}${fixedDiffValue}`;
     }
 
@@ -51,7 +51,7 @@ export interface ApiConfig {
   weight: number;
   priceSource: string;
   priceCurrency: string;
-  paymentIdSeparator: string;
+  paymentIdSeparator: string | null;
   fixedDiffEnabled: boolean;
   fixedDiffSeparator: string;
   sendEmails: boolean;
@@ -150,10 +150,21 @@ export interface MinerStats {
   roundHashes?: number;
   roundScore?: number;
   roundSharePercent?: number;
+  rejects?: RejectCounts;
   workers?: WorkerStats[];
   charts?: Record<string, unknown>;
 }
 
+// Rejected shares by reason
+export interface RejectCounts {
+  staleJob?: number;
+  lowDifficulty?: number;
+  badHash?: number;
+  duplicate?: number;
+  malformedNonce?: number;
+  expiredTemplate?: number;
+}
+
 export interface WorkerStats {
   name: string;
   hashRate: number;
@@ -162,7 +173,25 @@ export interface WorkerStats {
   hashRate24h?: number;
   lastShare: number;
   hashes: number;
-  type?: 'solo' | 'prop'; // Worker mining type (solo or prop/PPLNS)
+  type?: 'solo' | 'prop' | 'pplns' | 'pps'; // Worker mining type (solo, prop, pplns or pps)
+  rejects?: RejectCounts;
+  difficulty?: number;
+  accepted?: number;
+  avgShareTime?: number; // Seconds between accepted shares
+  agent?: string;
+  ip?: string; // Masked, host part hidden
+  port?: number;
+  connected?: number;
+  disconnected?: number;
+  uptime?: number; // Seconds since connected, 0 when disconnected
+  history?: WorkerEvent[]; // Only returned by /stats_worker
+}
+
+export interface WorkerEvent {
+  event: 'connect' | 'timeout' | 'banned';
+  time: number;
+  ip: string;
+  port: number;
 }
 
 export interface Block {
@@ -206,6 +235,7 @@ export interface Payment {
   timestamp: number;
   txHash?: string;
   address?: string;
+  status?: 'pending' | 'confirmed' | 'failed';
 }
 
 export interface Miner {
@@ -259,6 +289,13 @@ export interface LogFileInfo {
   changed: number;
 }
 
+// Admin log viewer filters, every non empty one has to match a line
+export interface LogFilter {
+  q: string;
+  address: string;
+  ip: string;
+}
+
 export interface LogsData {
   [filename: string]: LogFileInfo;
 }
@@ -11,43 +11,49 @@
  var os = require('os');
 
  // Load configuration
- require('./lib/configReader.js');
+ var configReader = require('./lib/configReader.js');
 
- // Load log system
- require('./lib/logger.js');
-
- // Initialize log system
  var logSystem = 'master';
- require('./lib/exceptionWriter.js')(logSystem);
 
- // Pool informations
- if (!cluster.isWorker) {
-	log('info', logSystem, 'Starting Cryptonote Node.JS pool version %s', [version]);
-}
-
- // Check configuration data
- var poolAddress = config.poolServer.poolAddress || null;
- if (!poolAddress || poolAddress.match(/(\s+|\*)/)) {
-        log('error', logSystem, 'Invalid pool wallet address in configuration file (poolServer.poolAddress)');
-        process.exit();
- }
+ /**
+  * Initialize the log system and the redis database client once the configuration is loaded
+  **/
+ function initialize () {
+ 	// Load log system
+ 	require('./lib/logger.js');
 
- // Initialize redis database client
- var redis = require('redis');
+ 	// Initialize log system
+ 	require('./lib/exceptionWriter.js')(logSystem);
 
- var redisDB = (config.redis.db && config.redis.db > 0) ? config.redis.db : 0;
- global.redisClient = redis.createClient(config.redis.port, config.redis.host, {
- 	db: redisDB,
- 	auth_pass: config.redis.auth
- });
+ 	// Initialize redis database client
+ 	var redis = require('redis');
 
- if ((typeof config.poolServer.mergedMining !== 'undefined' && config.poolServer.mergedMining) && typeof config.childPools !== 'undefined')
- 	config.childPools = config.childPools.filter(pool => pool.enabled);
- else
- 	config.childPools = [];
+ 	var redisDB = (config.redis.db && config.redis.db > 0) ? config.redis.db : 0;
+ 	global.redisClient = redis.createClient(config.redis.port, config.redis.host, {
+ 		db: redisDB,
+ 		auth_pass: config.redis.auth
+ 	});
+
+ 	filterChildPools(config);
+ }
+
+ /**
+  * Keep the enabled child pools when merged mining is enabled
+  **/
+ function filterChildPools (configData) {
+ 	if ((typeof configData.poolServer.mergedMining !== 'undefined' && configData.poolServer.mergedMining) && typeof configData.childPools !== 'undefined')
+ 		configData.childPools = configData.childPools.filter(pool => pool.enabled);
+ 	else
+ 		configData.childPools = [];
+ }
+
+ /**
+  * Load pool modules
+  **/
+ function startWorker () {
+ 	// Apply the configuration changes sent by the master
+ 	require('./lib/configReload.js').listen();
 
- // Load pool modules
- if (cluster.isWorker) {
  	switch (process.env.workerType) {
  		case 'pool':
  			require('./lib/pool.js');
@@ -67,13 +73,40 @@
  		case 'chartsDataCollector':
  			require('./lib/chartsDataCollector.js');
  			break;
+ 		case 'telegramBot':
+ 			require('./lib/telegramBot.js');
+ 			break;
  	}
+ }
+
+ // Forks start with the running configuration of the master, the file may have been edited since the master read it
+ if (cluster.isWorker) {
+ 	process.on('message', function onConfig (message) {
+ 		if (message.type !== 'config') return;
+ 		process.removeListener('message', onConfig);
+ 		configReader.use(message.config);
+ 		initialize();
+ 		startWorker();
+ 	});
  	return;
  }
 
+ initialize();
+
+ // Pool informations
+ log('info', logSystem, 'Starting Cryptonote Node.JS pool version %s', [version]);
+
+ // Send the running configuration (hot-reloaded changes included) to every new worker, respawned ones too
+ cluster.on('fork', function (worker) {
+ 	worker.send({
+ 		type: 'config',
+ 		config: config
+ 	});
+ });
+
  // Run a single module ?
  var singleModule = (function () {
- 	var validModules = ['pool', 'api', 'unlocker', 'payments', 'chartsDataCollector', ];
+ 	var validModules = ['pool', 'api', 'unlocker', 'payments', 'chartsDataCollector', 'telegramBot', 'replay'];
 
  	for (var i = 0; i < process.argv.length; i++) {
  		if (process.argv[i].indexOf('-module=') === 0) {
@@ -114,6 +147,12 @@
  				case 'chartsDataCollector':
  					spawnChartsDataCollector();
  					break;
+ 				case 'telegramBot':
+ 					spawnTelegramBot();
+ 					break;
+ 				case 'replay':
+ 					require('./lib/replay.js');
+ 					break;
  			}
  		} else {
 			spawnPoolWorkers();
@@ -122,10 +161,84 @@
 			spawnPaymentProcessor();
 			spawnApi();
 			spawnChartsDataCollector();
+			spawnTelegramBot();
  		}
  	});
  })();
 
+ /**
+  * Configuration hot-reload: when the config file changes (configReload.watchFile), on SIGHUP or from the admin API.
+  * The new configuration is checked, safe changes are sent to every worker and the ones needing a restart are reported.
+  **/
+ var configReload = require('./lib/configReload.js');
+
+ function reloadConfig (source, callback) {
+ 	var result;
+ 	try {
+ 		result = configReader.read();
+ 	} catch (e) {
+ 		log('error', logSystem, 'Configuration reload (%s) failed, unable to read %s: %s', [source, configReader.configFile, e.message]);
+ 		if (callback) callback({
+ 			status: 'error',
+ 			error: 'Unable to read ' + configReader.configFile + ': ' + e.message
+ 		});
+ 		return;
+ 	}
+
+ 	if (result.errors.length > 0) {
+ 		log('error', logSystem, 'Configuration reload (%s) rejected, %d problem(s) found: %s', [source, result.errors.length, result.errors.join('; ')]);
+ 		if (callback) callback({
+ 			status: 'invalid',
+ 			errors: result.errors,
+ 			warnings: result.warnings
+ 		});
+ 		return;
+ 	}
+
+ 	filterChildPools(result.config);
+ 	var diff = configReload.diff(config, result.config);
+ 	if (diff.changes.length > 0) {
+ 		configReload.apply(diff.changes);
+ 		Object.keys(cluster.workers)
+ 			.forEach(function (id) {
+ 				cluster.workers[id].send({
+ 					type: 'configReload',
+ 					changes: diff.changes
+ 				});
+ 			});
+ 		log('info', logSystem, 'Configuration reloaded (%s), applied: %s', [source, diff.changes.map(change => change.path).join(', ')]);
+ 	} else {
+ 		log('info', logSystem, 'Configuration reload (%s): no setting to apply', [source]);
+ 	}
+ 	if (diff.restartRequired.length > 0) {
+ 		log('warn', logSystem, 'Configuration changes need a restart to be applied: %s', [diff.restartRequired.join(', ')]);
+ 	}
+ 	if (callback) callback({
+ 		status: 'done',
+ 		applied: diff.changes.map(change => change.path),
+ 		restartRequired: diff.restartRequired,
+ 		warnings: result.warnings
+ 	});
+ }
+
+ process.on('SIGHUP', function () {
+ 	reloadConfig('SIGHUP');
+ });
+
+ if (config.configReload && config.configReload.watchFile) {
+ 	var reloadTimeout = null;
+ 	fs.watchFile(configReader.configFile, {
+ 		interval: 2000
+ 	}, function (current, previous) {
+ 		if (current.mtimeMs === previous.mtimeMs) return;
+ 		// Editors can write a file several times when saving it
+ 		clearTimeout(reloadTimeout);
+ 		reloadTimeout = setTimeout(function () {
+ 			reloadConfig('file change');
+ 		}, 1000);
+ 	});
+ }
+
  /**
   * Check redis database version
   **/
@@ -154,6 +267,9 @@
  		} else if (version < 2.6) {
  			log('error', logSystem, "You're using redis version %s the minimum required version is 2.6. Follow the damn usage instructions...", [versionString]);
  			return;
+ 		} else if (version < 5 && config.shareJournal && config.shareJournal.enabled) {
+ 			log('error', logSystem, 'The share journal uses redis streams, it requires redis version 5.0 or newer (found %s)', [versionString]);
+ 			return;
  		}
  		callback();
  	});
@@ -195,21 +311,8 @@
  					createPoolWorker(forkId);
  				}, 2000);
  			})
- 			.on('message', function (msg) {
- 				switch (msg.type) {
- 					case 'banIP':
- 						Object.keys(cluster.workers)
- 							.forEach(function (id) {
- 								if (cluster.workers[id].type === 'pool') {
- 									cluster.workers[id].send({
- 										type: 'banIP',
- 										ip: msg.ip
- 									});
- 								}
- 							});
- 						break;
- 				}
- 			});
+ 			.on('message', relayBanMessage)
+ 			.on('message', relayMetricsMessage);
  	};
 
  	var i = 1;
@@ -223,6 +326,39 @@
  	}, 10);
  }
 
+ /**
+  * Relay ban and login rules changes from a pool fork or the API to every pool fork
+  **/
+ function relayBanMessage (msg) {
+ 	switch (msg.type) {
+ 		case 'banIP':
+ 		case 'unbanIP':
+ 		case 'banAddress':
+ 		case 'unbanAddress':
+ 		case 'loginRules':
+ 			Object.keys(cluster.workers)
+ 				.forEach(function (id) {
+ 					if (cluster.workers[id].type === 'pool') {
+ 						cluster.workers[id].send(msg);
+ 					}
+ 				});
+ 			break;
+ 	}
+ }
+
+ /**
+  * Relay the metrics of a pool fork to the API, which serves them on /metrics
+  **/
+ function relayMetricsMessage (msg) {
+ 	if (msg.type !== 'metrics') return;
+ 	Object.keys(cluster.workers)
+ 		.forEach(function (id) {
+ 			if (cluster.workers[id].type === 'api') {
+ 				cluster.workers[id].send(msg);
+ 			}
+ 		});
+ }
+
  /**
   * Spawn daemon module
   **/
@@ -246,7 +382,8 @@
  							if (cluster.workers[id].type === 'pool') {
  								cluster.workers[id].send({
  									type: 'BlockTemplate',
- 									block: msg.block
+ 									block: msg.block,
+ 									daemons: msg.daemons
  								});
  							}
  						});
@@ -298,12 +435,24 @@
  	var worker = cluster.fork({
  		workerType: 'api'
  	});
+ 	worker.type = 'api';
  	worker.on('exit', function (code, signal) {
- 		log('error', logSystem, 'API died, spawning replacement...');
- 		setTimeout(function () {
- 			spawnApi();
- 		}, 2000);
- 	});
+ 			log('error', logSystem, 'API died, spawning replacement...');
+ 			setTimeout(function () {
+ 				spawnApi();
+ 			}, 2000);
+ 		})
+ 		.on('message', relayBanMessage)
+ 		.on('message', function (msg) {
+ 			if (msg.type !== 'reloadConfig') return;
+ 			reloadConfig('admin API', function (result) {
+ 				worker.send({
+ 					type: 'configReloaded',
+ 					id: msg.id,
+ 					result: result
+ 				});
+ 			});
+ 		});
  }
 
  /**
@@ -323,3 +472,20 @@
  	});
  }
 
+ /**
+  * Spawn Telegram bot module
+  **/
+ function spawnTelegramBot () {
+ 	if (!config.telegram || !config.telegram.enabled || !config.telegram.token) return;
+
+ 	var worker = cluster.fork({
+ 		workerType: 'telegramBot'
+ 	});
+ 	worker.on('exit', function (code, signal) {
+ 		log('error', logSystem, 'Telegram bot died, spawning replacement...');
+ 		setTimeout(function () {
+ 			spawnTelegramBot();
+ 		}, 2000);
+ 	});
+ }
+
@@ -0,0 +1,204 @@
+/**
+ * Cryptonote Node.JS Pool
+ * https://github.com/dvandal/cryptonote-nodejs-pool
+ *
+ * Wallet address decoding and validation (cryptonote base58 with keccak checksum)
+ **/
+
+// Initialize log system
+let logSystem = 'address';
+
+let alphabet = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+let fullBlockSize = 8;
+let fullEncodedBlockSize = 11;
+// Encoded size of a block by its decoded size
+let encodedBlockSizes = [0, 2, 3, 5, 6, 7, 9, 10, 11];
+let checksumSize = 4;
+
+/**
+ * Keccak-256 (original padding, as used by cryptonote)
+ **/
+let keccakRoundConstants = [
+	'0000000000000001', '0000000000008082', '800000000000808a', '8000000080008000',
+	'000000000000808b', '0000000080000001', '8000000080008081', '8000000000008009',
+	'000000000000008a', '0000000000000088', '0000000080008009', '000000008000000a',
+	'000000008000808b', '800000000000008b', '8000000000008089', '8000000000008003',
+	'8000000000008002', '8000000000000080', '000000000000800a', '800000008000000a',
+	'8000000080008081', '8000000000008080', '0000000080000001', '8000000080008008'
+].map(c => BigInt('0x' + c));
+// Rotation offsets indexed by [x][y]
+let keccakRotations = [
+	[0, 36, 3, 41, 18],
+	[1, 44, 10, 45, 2],
+	[62, 6, 43, 15, 61],
+	[28, 55, 25, 21, 56],
+	[27, 20, 39, 8, 14]
+];
+let laneMask = (BigInt(1) << BigInt(64)) - BigInt(1);
+
+function rotateLane (lane, bits) {
+	if (bits === 0) return lane;
+	return ((lane << BigInt(bits)) | (lane >> BigInt(64 - bits))) & laneMask;
+}
+
+function keccakPermute (state) {
+	let c = new Array(5);
+	let b = new Array(25);
+	for (let round = 0; round < 24; round++) {
+		for (let x = 0; x < 5; x++) {
+			c[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+		}
+		for (let x = 0; x < 5; x++) {
+			let d = c[(x + 4) % 5] ^ rotateLane(c[(x + 1) % 5], 1);
+			for (let y = 0; y < 25; y += 5) {
+				state[x + y] ^= d;
+			}
+		}
+		for (let x = 0; x < 5; x++) {
+			for (let y = 0; y < 5; y++) {
+				b[y + 5 * ((2 * x + 3 * y) % 5)] = rotateLane(state[x + 5 * y], keccakRotations[x][y]);
+			}
+		}
+		for (let x = 0; x < 5; x++) {
+			for (let y = 0; y < 25; y += 5) {
+				state[x + y] = b[x + y] ^ ((b[(x + 1) % 5 + y] ^ laneMask) & b[(x + 2) % 5 + y]);
+			}
+		}
+		state[0] ^= keccakRoundConstants[round];
+	}
+}
+
+function keccak256 (data) {
+	let rate = 136;
+	let padded = Buffer.alloc((Math.floor(data.length / rate) + 1) * rate);
+	data.copy(padded);
+	padded[data.length] ^= 0x01;
+	padded[padded.length - 1] ^= 0x80;
+
+	let state = new Array(25).fill(BigInt(0));
+	for (let offset = 0; offset < padded.length; offset += rate) {
+		for (let i = 0; i < rate / 8; i++) {
+			state[i] ^= padded.readBigUInt64LE(offset + i * 8);
+		}
+		keccakPermute(state);
+	}
+
+	let hash = Buffer.alloc(32);
+	for (let i = 0; i < 4; i++) {
+		hash.writeBigUInt64LE(state[i], i * 8);
+	}
+	return hash;
+}
+exports.keccak256 = keccak256;
+
+/**
+ * Decode cryptonote base58 (8 byte blocks encoded as 11 characters), returns null if invalid
+ **/
+function decodeBase58 (encoded) {
+	let fullBlocks = Math.floor(encoded.length / fullEncodedBlockSize);
+	let lastBlockSize = encodedBlockSizes.indexOf(encoded.length % fullEncodedBlockSize);
+	if (lastBlockSize === -1) return null;
+
+	let decoded = Buffer.alloc(fullBlocks * fullBlockSize + lastBlockSize);
+	for (let i = 0; i <= fullBlocks; i++) {
+		let block = encoded.substr(i * fullEncodedBlockSize, fullEncodedBlockSize);
+		let size = i < fullBlocks ? fullBlockSize : lastBlockSize;
+		if (size === 0) break;
+
+		let value = BigInt(0);
+		for (let j = 0; j < block.length; j++) {
+			let digit = alphabet.indexOf(block[j]);
+			if (digit === -1) return null;
+			value = value * BigInt(58) + BigInt(digit);
+		}
+		if (value >> BigInt(size * 8) !== BigInt(0)) return null;
+		for (let j = size - 1; j >= 0; j--) {
+			decoded[i * fullBlockSize + j] = Number(value & BigInt(0xff));
+			value >>= BigInt(8);
+		}
+	}
+	return decoded;
+}
+
+/**
+ * Decode an address into its prefix tag and body (public keys, payment ID),
+ * returns null if the encoding or the checksum is invalid
+ **/
+function decode (address) {
+	let data = decodeBase58(String(address || ''));
+	if (!data || data.length <= checksumSize) return null;
+
+	let payload = data.slice(0, data.length - checksumSize);
+	let checksum = data.slice(data.length - checksumSize);
+	if (!keccak256(payload).slice(0, checksumSize).equals(checksum)) return null;
+
+	// Prefix tag varint
+	let tag = 0;
+	let shift = 0;
+	let offset = 0;
+	while (offset < payload.length) {
+		let byte = payload[offset++];
+		tag += (byte & 0x7f) * Math.pow(2, shift);
+		if (!(byte & 0x80)) break;
+		shift += 7;
+	}
+	return {
+		tag: tag,
+		body: payload.slice(offset)
+	};
+}
+exports.decode = decode;
+
+/**
+ * Standard address layout: configured with poolServer.addressPrefixes.standard or learned
+ * from the pool address, which has to be a valid standard address of the coin
+ **/
+let prefixes = config.poolServer.addressPrefixes || {};
+let standard = null;
+let poolAddress = decode(config.poolServer.poolAddress);
+if (poolAddress && (prefixes.standard === undefined || prefixes.standard === poolAddress.tag)) {
+	standard = {
+		tag: poolAddress.tag,
+		bodySize: poolAddress.body.length
+	};
+} else if (config.poolServer.poolAddress) {
+	log('error', logSystem, 'Pool address %s is not a valid standard address, wallet addresses are only checked for length and prefix', [config.poolServer.poolAddress]);
+}
+
+// Integrated addresses append a short (8 bytes) or long (32 or 64 bytes) payment ID
+let paymentIdSizes = [8, 32, 64];
+
+/**
+ * Return the type of an address (standard, integrated or subaddress), false if it is invalid
+ **/
+exports.validate = function (address) {
+	if (!standard) return legacyValidate(address) ? 'standard' : false;
+
+	let decoded = decode(address);
+	if (!decoded) return false;
+	if (decoded.tag === standard.tag && decoded.body.length === standard.bodySize) {
+		return 'standard';
+	}
+	if (prefixes.subaddress !== undefined && decoded.tag === prefixes.subaddress && decoded.body.length === standard.bodySize) {
+		return 'subaddress';
+	}
+	if (prefixes.integrated !== undefined && decoded.tag === prefixes.integrated && paymentIdSizes.indexOf(decoded.body.length - standard.bodySize) !== -1) {
+		return 'integrated';
+	}
+	return false;
+}
+
+/**
+ * Length and prefix check, used when the pool address can't be decoded
+ **/
+function legacyValidate (address) {
+	let expectedLength = config.poolServer.addressLength || 54;
+	if (address.length !== expectedLength) {
+		return false;
+	}
+	let expectedPrefix = config.poolServer.addressPrefix || null;
+	if (expectedPrefix && !address.startsWith(expectedPrefix)) {
+		return false;
+	}
+	return true;
+}
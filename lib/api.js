@@ -18,6 +18,13 @@ let authSid = Math.round(Math.random() * 10000000000) + '' + Math.round(Math.ran
 let charts = require('./charts.js');
 let market = require('./market.js');
 let utils = require('./utils.js');
+let bans = require('./bans.js');
+let loginParser = require('./login.js');
+let notifications = require('./notifications.js');
+let paymentJournal = require('./paymentJournal.js');
+let webhooks = require('./webhooks.js');
+let metrics = require('./metrics.js');
+let logReader = require('./logReader.js');
 
 // Initialize log system
 let logSystem = 'api';
@@ -68,6 +75,9 @@ function handleServerRequest (request, response) {
 		case '/stats_address':
 			handleMinerStats(urlParts, response);
 			break;
+		case '/stats_worker':
+			handleWorkerStats(urlParts, response);
+			break;
 
 			// Payments
 		case '/get_payments':
@@ -96,6 +106,15 @@ function handleServerRequest (request, response) {
 		case '/set_miner_payout_level':
 			handleSetMinerPayoutLevel(urlParts, response);
 			break;
+		case '/get_email_notifications':
+			handleGetEmailNotifications(urlParts, response);
+			break;
+		case '/set_email_notifications':
+			handleSetEmailNotifications(urlParts, response);
+			break;
+		case '/verify_email_notifications':
+			handleVerifyEmailNotifications(urlParts, response);
+			break;
 		case '/block_explorers':
 			handleBlockExplorers(response)
 			break
@@ -132,7 +151,7 @@ function handleServerRequest (request, response) {
 			if (!authorize(request, response)) {
 				return;
 			}
-			handleAdminLog(urlParts, response);
+			handleAdminLog(request, urlParts, response);
 			break;
 		case '/admin_users':
 			if (!authorize(request, response)) {
@@ -146,6 +165,51 @@ function handleServerRequest (request, response) {
 			}
 			handleAdminPorts(request, response);
 			break;
+		case '/admin_bans':
+			if (!authorize(request, response)) {
+				return;
+			}
+			handleAdminBans(urlParts, response);
+			break;
+		case '/admin_daemons':
+			if (!authorize(request, response)) {
+				return;
+			}
+			handleAdminDaemons(response);
+			break;
+		case '/admin_payments':
+			if (!authorize(request, response)) {
+				return;
+			}
+			handleAdminPayments(request, urlParts, response);
+			break;
+		case '/metrics':
+			// Served on its own port when metrics.port is set
+			if (!metrics.enabled() || config.metrics.port) {
+				response.writeHead(404, {
+					'Access-Control-Allow-Origin': '*'
+				});
+				response.end('Invalid API call');
+				return;
+			}
+			// Wallet balances and payment queues are not public
+			if (!authorize(request, response)) {
+				return;
+			}
+			handleMetrics(response);
+			break;
+		case '/admin_webhooks':
+			if (!authorize(request, response)) {
+				return;
+			}
+			handleAdminWebhooks(urlParts, response);
+			break;
+		case '/admin_config_reload':
+			if (!authorize(request, response)) {
+				return;
+			}
+			handleAdminConfigReload(response);
+			break;
 
 			// Default response
 		default:
@@ -178,7 +242,8 @@ function collectStats () {
 		['zcard', `${config.coin}:payments:all`],
 		['keys', `${config.coin}:payments:*`],
 		['hgetall', `${config.coin}:shares_actual:prop:roundCurrent`],
-		['zrange', `${config.coin}:blocks:matured`, 0, -1, 'WITHSCORES']
+		['zrange', `${config.coin}:blocks:matured`, 0, -1, 'WITHSCORES'],
+		['hgetall', `${config.coin}:pps:reserve`]
 	];
 
 	let windowTime = (((Date.now() / 1000) - config.api.hashrateWindow) | 0).toString();
@@ -256,21 +321,34 @@ function collectStats () {
 						blocks: parseBlocksToObjects(replies[3].concat(replies[4]), true), // Return structured objects with FULL addresses
 						totalBlocks: 0,
 						totalBlocksSolo: 0,
+						totalBlocksPplns: 0,
+						totalBlocksPps: 0,
 						totalDiff: 0,
 						totalDiffSolo: 0,
+						totalDiffPplns: 0,
+						totalDiffPps: 0,
 						totalShares: 0,
 						totalSharesSolo: 0,
+						totalSharesPplns: 0,
+						totalSharesPps: 0,
 						payments: paymentsData,
 						totalPayments: parseInt(replies[8]),
-						totalMinersPaid: replies[9] && replies[9].length > 0 ? replies[9].length - 1 : 0,
+						totalMinersPaid: replies[9] ? replies[9].filter(isMinerPaymentsKey).length : 0,
 						miners: 0,
 						minersSolo: 0,
+						minersPplns: 0,
+						minersPps: 0,
 						workers: 0,
 						workersSolo: 0,
+						workersPplns: 0,
+						workersPps: 0,
 						hashrate: 0,
 						hashrateSolo: 0,
+						hashratePplns: 0,
+						hashratePps: 0,
 						roundScore: 0,
-						roundHashes: 0
+						roundHashes: 0,
+						pps: getPpsReserveData(replies[12])
 					};
 
 					calculateBlockData(data, replies[3].concat(replies[11])); // Keep using raw strings for calculation
@@ -289,6 +367,8 @@ function collectStats () {
 
 					let totalShares = 0
 					let totalSharesSolo = 0
+					let totalSharesPplns = 0
+					let totalSharesPps = 0
 
 					for (let miner in minersHashrate) {
 						if (minersRewardType[miner] === 'prop') {
@@ -305,6 +385,20 @@ function collectStats () {
 							} else {
 								data.minersSolo++;
 							}
+						} else if (minersRewardType[miner] === 'pplns') {
+							if (miner.indexOf('~') !== -1) {
+								data.workersPplns++;
+								totalSharesPplns += minersHashrate[miner];
+							} else {
+								data.minersPplns++;
+							}
+						} else if (minersRewardType[miner] === 'pps') {
+							if (miner.indexOf('~') !== -1) {
+								data.workersPps++;
+								totalSharesPps += minersHashrate[miner];
+							} else {
+								data.minersPps++;
+							}
 						}
 						minersHashrate[miner] = Math.round(minersHashrate[miner] / config.api.hashrateWindow);
 						if (!minerStats[miner]) {
@@ -316,6 +410,8 @@ function collectStats () {
 
 					data.hashrate = Math.round(totalShares / config.api.hashrateWindow);
 					data.hashrateSolo = Math.round(totalSharesSolo / config.api.hashrateWindow);
+					data.hashratePplns = Math.round(totalSharesPplns / config.api.hashrateWindow);
+					data.hashratePps = Math.round(totalSharesPps / config.api.hashrateWindow);
 					data.roundScore = 0;
 
 					if (replies[5]) {
@@ -355,6 +451,14 @@ function collectStats () {
 						if (replies[6].lastBlockFoundsolo) {
 							data.lastBlockFoundSolo = replies[6].lastBlockFoundsolo;
 						}
+
+						if (replies[6].lastBlockFoundpplns) {
+							data.lastBlockFoundPplns = replies[6].lastBlockFoundpplns;
+						}
+
+						if (replies[6].lastBlockFoundpps) {
+							data.lastBlockFoundPps = replies[6].lastBlockFoundpps;
+						}
 					}
 
 					callback(null, data);
@@ -399,11 +503,16 @@ function collectStats () {
 				denominationUnit: config.payments.denomination,
 				slushMiningEnabled: config.poolServer.slushMining.enabled,
 				weight: config.poolServer.slushMining.weight,
+				pplnsEnabled: !!(config.poolServer.pplns && config.poolServer.pplns.enabled),
+				pplnsWindowSize: config.poolServer.pplns ? config.poolServer.pplns.windowSize : null,
+				pplnsWindowType: config.poolServer.pplns ? config.poolServer.pplns.windowType : null,
+				ppsEnabled: !!(config.poolServer.pps && config.poolServer.pps.enabled),
+				ppsFee: config.poolServer.pps && config.poolServer.pps.fee >= 0 ? config.poolServer.pps.fee : (config.blockUnlocker.poolFee || 0),
 				priceSource: config.prices ? config.prices.source : 'cryptonator',
 				priceCurrency: config.prices ? config.prices.currency : 'USD',
-				paymentIdSeparator: config.poolServer.paymentId && config.poolServer.paymentId.addressSeparator ? config.poolServer.paymentId.addressSeparator : ".",
+				paymentIdSeparator: loginParser.paymentIdSeparator,
 				fixedDiffEnabled: config.poolServer.fixedDiff.enabled,
-				fixedDiffSeparator: config.poolServer.fixedDiff.addressSeparator,
+				fixedDiffSeparator: loginParser.diffSeparator,
 				blocksChartEnabled: (config.charts.blocks && config.charts.blocks.enabled),
 				blocksChartDays: config.charts.blocks && config.charts.blocks.days ? config.charts.blocks.days : null
 			});
@@ -450,14 +559,14 @@ function collectStats () {
 				redisClient.zrevrange(config.coin + ':blocks:matured', 0, -1, 'WITHSCORES', function (err, result) {
 					for (let i = 0; i < result.length; i++) {
 						let block = result[i].split(':');
-						if (block[0] === 'prop' || block[0] === 'solo') {
+						if (block[0] === 'prop' || block[0] === 'solo' || block[0] === 'pplns' || block[0] === 'pps') {
 							let blockTimestamp = block[3];
 							if (blockTimestamp < beginAtTimestamp) {
 								continue;
 							}
 							let date = utils.dateFormat(new Date(blockTimestamp * 1000), 'yyyy-mm-dd');
 							if (chartDays === 1) utils.dateFormat(new Date(blockTimestamp * 1000), 'yyyy-mm-dd HH:00');
-							if (block[0] === 'prop') {
+							if (block[0] === 'prop' || block[0] === 'pplns' || block[0] === 'pps') {
 								if (!blocksCount[date]) blocksCount[date] = 0;
 								blocksCount[date]++;
 								continue
@@ -523,7 +632,7 @@ function parseBlocksToObjects(blocksData, includeFullAddress = true) {
 
 		let block = {
 			height: height,
-			type: parts[0], // 'prop' or 'solo'
+			type: parts[0], // 'prop', 'pplns', 'pps' or 'solo'
 			miner: parts[1] || '',
 			hash: parts[2] || '',
 			timestamp: parseInt(parts[3]) || 0,
@@ -593,7 +702,7 @@ function parseBlocksToObjects(blocksData, includeFullAddress = true) {
 function truncateMinerAddress (blocks) {
 	for (let i = 0; i < blocks.length; i++) {
 		let block = blocks[i].split(':');
-		if (block[0] === 'solo' || block[0] === 'prop') {
+		if (block[0] === 'solo' || block[0] === 'prop' || block[0] === 'pplns' || block[0] === 'pps') {
 			block[1] = `${block[1].substring(0,7)}...${block[1].substring(block[1].length-7)}`;
 			blocks[i] = block.join(':');
 		}
@@ -601,6 +710,28 @@ function truncateMinerAddress (blocks) {
 	return blocks
 }
 
+/**
+ * Return the PPS reserve ledger with its derived balance and luck deficit
+ **/
+function getPpsReserveData (reserve) {
+	reserve = reserve || {};
+	let expected = parseFloat(reserve.expected) || 0;
+	let credited = parseInt(reserve.credited) || 0;
+	let earned = parseInt(reserve.earned) || 0;
+	return {
+		expected: Math.round(expected),
+		credited: credited,
+		earned: earned,
+		blocks: parseInt(reserve.blocks) || 0,
+		// Block rewards collected minus what has been credited to PPS miners
+		reserve: earned - credited,
+		// Rewards the PPS shares should have found minus what they did find
+		luckDeficit: Math.round(expected - earned),
+		// Fee kept back from PPS miners to cover the variance
+		feeIncome: Math.round(expected - credited)
+	};
+}
+
 /**
  *  Calculate the Diff, shares and totalblocks
  **/
@@ -615,6 +746,14 @@ function calculateBlockData (data, blocks) {
 			data.totalDiff += parseInt(block[4]);
 			data.totalShares += parseInt(block[5]);
 			data.totalBlocks += 1;
+		} else if (block[0] === 'pplns') {
+			data.totalDiffPplns += parseInt(block[4]);
+			data.totalSharesPplns += parseInt(block[5]);
+			data.totalBlocksPplns += 1;
+		} else if (block[0] === 'pps') {
+			data.totalDiffPps += parseInt(block[4]);
+			data.totalSharesPps += parseInt(block[5]);
+			data.totalBlocksPps += 1;
 		} else {
 			if (block[5]) {
 				data.totalDiff += parseInt(block[2]);
@@ -824,7 +963,8 @@ function broadcastWorkerStats (address, destinations) {
 		['zrevrange', `${config.coin}:payments:${address}`, 0, config.api.payments - 1, 'WITHSCORES'],
 		['keys', `${config.coin}:unique_workers:${address}~*`],
 		['get', `${config.coin}:charts:hashrate:${address}`],
-		['zrevrangebyscore', `${config.coin}:blocks:matured`, '+inf', '-inf', 'WITHSCORES', 'LIMIT', 0, config.api.blocks]
+		['zrevrangebyscore', `${config.coin}:blocks:matured`, '+inf', '-inf', 'WITHSCORES', 'LIMIT', 0, config.api.blocks],
+		['hgetall', `${config.coin}:rejects:${address}`]
 	];
 	redisClient.multi(redisCommands).exec(function (error, replies) {
 			if (error || !replies || !replies[0]) {
@@ -838,6 +978,7 @@ function broadcastWorkerStats (address, destinations) {
 			stats.hashrate = minerStats[address] && minerStats[address]['hashrate'] ? minerStats[address]['hashrate'] : 0;
 			stats.roundScore = minerStats[address] && minerStats[address]['roundScore'] ? minerStats[address]['roundScore'] : 0;
 			stats.roundHashes = minerStats[address] && minerStats[address]['roundHashes'] ? minerStats[address]['roundHashes'] : 0;
+			stats.rejects = getRejectCounts(replies[5]);
 			if (replies[3]) {
 				let hr_avg = extractAverageHashrates(replies[3]);
 				stats.hashrate_1h = hr_avg[0];
@@ -930,15 +1071,23 @@ function broadcastWorkerStats (address, destinations) {
 					for (let i in workersData) {
 						redisCommands.push(['hgetall', `${config.coin}:unique_workers:${address}~${workersData[i].name}`]);
 						redisCommands.push(['get', `${config.coin}:charts:worker_hashrate:${address}~${ workersData[i].name}`]);
+						redisCommands.push(['hgetall', `${config.coin}:rejects:${address}~${workersData[i].name}`]);
+					}
+					let statusIndex = redisCommands.length;
+					if (paymentsData.length > 0) {
+						redisCommands.push(getPaymentsStatusCommand(paymentsData));
 					}
 					redisClient.multi(redisCommands).exec(function (error, workerReplies) {
+						setPaymentsStatus(paymentsData, workerReplies[statusIndex]);
 						for (let i in workersData) {
-							let wi = 2 * i;
-							let hi = wi + 1
+							let wi = 3 * i;
+							let hi = wi + 1;
+							let ri = wi + 2;
 							if (workerReplies[wi]) {
 								workersData[i].lastShare = workerReplies[wi]['lastShare'] ? parseInt(workerReplies[wi]['lastShare']) : 0;
 								workersData[i].hashes = workerReplies[wi]['hashes'] ? parseInt(workerReplies[wi]['hashes']) : 0;
 								workersData[i].type = workerReplies[wi]['rewardType'] || 'prop';
+								setWorkerDetails(workersData[i], workerReplies[wi]);
 							}
 							if (workerReplies[hi]) {
 								let avgs = extractAverageHashrates(workerReplies[hi]);
@@ -946,6 +1095,7 @@ function broadcastWorkerStats (address, destinations) {
 								workersData[i]['hashrate_6h'] = avgs[1];
 								workersData[i]['hashrate_24h'] = avgs[2];
 							}
+							workersData[i].rejects = getRejectCounts(workerReplies[ri]);
 						}
 
 						let data = {
@@ -1002,7 +1152,8 @@ function handleStats (urlParts, request, response) {
  * Return miner (worker) statistics
  **/
 function handleMinerStats (urlParts, response) {
-	let address = urlParts.query.address;
+	// Accept any login form (address.worker, address+diff, ...)
+	let address = loginParser.parse(urlParts.query.address).login;
 	let longpoll = (urlParts.query.longpoll === 'true');
 
 	if (longpoll) {
@@ -1021,7 +1172,6 @@ function handleMinerStats (urlParts, response) {
 				return;
 			}
 
-			let address = urlParts.query.address;
 			let uid = Math.random().toString();
 			let key = address + ':' + uid;
 			response.on("finish", function () {
@@ -1041,7 +1191,8 @@ function handleMinerStats (urlParts, response) {
 				['zrevrangebyscore', `${config.coin}:blocks:matured`, '+inf', '-inf', 'WITHSCORES', 'LIMIT', 0, config.api.blocks],
 				['zrange', `${config.coin}:blocks:candidates`, 0, -1, 'WITHSCORES'],
 				['hgetall', `${config.coin}:scores:prop:roundCurrent`],
-				['hgetall', `${config.coin}:scores:solo:roundCurrent`]
+				['hgetall', `${config.coin}:scores:solo:roundCurrent`],
+				['hgetall', `${config.coin}:rejects:${address}`]
 			]).exec(function (error, replies) {
 				if (error || !replies[0]) {
 					let dataJSON = JSON.stringify({
@@ -1061,6 +1212,7 @@ function handleMinerStats (urlParts, response) {
 				stats.hashrate = minerStats[address] && minerStats[address]['hashrate'] ? minerStats[address]['hashrate'] : 0;
 				stats.roundScore = minerStats[address] && minerStats[address]['roundScore'] ? minerStats[address]['roundScore'] : 0;
 				stats.roundHashes = minerStats[address] && minerStats[address]['roundHashes'] ? minerStats[address]['roundHashes'] : 0;
+				stats.rejects = getRejectCounts(replies[8]);
 				if (replies[3]) {
 					let hr_avg = extractAverageHashrates(replies[3]);
 					stats.hashrate_1h = hr_avg[0];
@@ -1152,7 +1304,7 @@ function handleMinerStats (urlParts, response) {
 									}
 								} else {
 									// For prop/pool blocks, check if miner is in participants
-									if (!(address in participantMap)) {
+									if (!(loginParser.parseStored(address).address in participantMap)) {
 										continue; // Skip blocks this miner didn't participate in
 									}
 								}
@@ -1241,15 +1393,23 @@ function handleMinerStats (urlParts, response) {
 						for (let i in workersData) {
 							redisCommands.push(['hgetall', `${config.coin}:unique_workers:${address}~${workersData[i].name}`]);
 							redisCommands.push(['get', `${config.coin}:charts:worker_hashrate:${address}~${workersData[i].name}`]);
+							redisCommands.push(['hgetall', `${config.coin}:rejects:${address}~${workersData[i].name}`]);
+						}
+						let statusIndex = redisCommands.length;
+						if (paymentsData.length > 0) {
+							redisCommands.push(getPaymentsStatusCommand(paymentsData));
 						}
 						redisClient.multi(redisCommands).exec(function (error, workerReplies) {
+							setPaymentsStatus(paymentsData, workerReplies[statusIndex]);
 							for (let i in workersData) {
-								let wi = 2 * i;
+								let wi = 3 * i;
 								let hi = wi + 1;
+								let ri = wi + 2;
 								if (workerReplies[wi]) {
 									workersData[i].lastShare = workerReplies[wi]['lastShare'] ? parseInt(workerReplies[wi]['lastShare']) : 0;
 									workersData[i].hashes = workerReplies[wi]['hashes'] ? parseInt(workerReplies[wi]['hashes']) : 0;
 									workersData[i].type = workerReplies[wi]['rewardType'] || 'prop';
+									setWorkerDetails(workersData[i], workerReplies[wi]);
 								}
 								if (workerReplies[hi]) {
 									let avgs = extractAverageHashrates(workerReplies[hi]);
@@ -1257,6 +1417,7 @@ function handleMinerStats (urlParts, response) {
 									workersData[i]['hashrate_6h'] = avgs[1];
 									workersData[i]['hashrate_24h'] = avgs[2];
 								}
+								workersData[i].rejects = getRejectCounts(workerReplies[ri]);
 							}
 
 							let data = {
@@ -1358,28 +1519,166 @@ function handleGetPayments (urlParts, response) {
 					}
 				}
 
-				let data = {
-					payments: payments,
-					total: total,
-					page: page,
-					limit: limit,
-					totalPages: totalPages
-				};
+				let statusCommands = payments.length > 0 ? [getPaymentsStatusCommand(payments)] : [];
+				redisClient.multi(statusCommands).exec(function (error, statusReplies) {
+					setPaymentsStatus(payments, statusReplies && statusReplies[0]);
+
+					let data = {
+						payments: payments,
+						total: total,
+						page: page,
+						limit: limit,
+						totalPages: totalPages
+					};
 
-				let reply = JSON.stringify(data);
+					let reply = JSON.stringify(data);
 
-				response.writeHead("200", {
-					'Access-Control-Allow-Origin': '*',
-					'Cache-Control': 'no-cache',
-					'Content-Type': 'application/json',
-					'Content-Length': Buffer.byteLength(reply, 'utf8')
+					response.writeHead("200", {
+						'Access-Control-Allow-Origin': '*',
+						'Cache-Control': 'no-cache',
+						'Content-Type': 'application/json',
+						'Content-Length': Buffer.byteLength(reply, 'utf8')
+					});
+					response.end(reply);
 				});
-				response.end(reply);
 			}
 		);
 	});
 }
 
+/**
+ * Return the redis command reading the confirmation status of payments
+ **/
+function getPaymentsStatusCommand (payments) {
+	return ['hmget', `${config.coin}:payments:status`].concat(payments.map(payment => payment.txHash));
+}
+
+/**
+ * Return statistics, connection details and connect/disconnect history of a single worker
+ **/
+function handleWorkerStats (urlParts, response) {
+	let sendReply = function (data) {
+		let reply = JSON.stringify(data);
+		response.writeHead("200", {
+			'Access-Control-Allow-Origin': '*',
+			'Cache-Control': 'no-cache',
+			'Content-Type': 'application/json',
+			'Content-Length': Buffer.byteLength(reply, 'utf8')
+		});
+		response.end(reply);
+	};
+
+	let parsedLogin = loginParser.parse(urlParts.query.address);
+	let address = parsedLogin.login;
+	let workerName = urlParts.query.worker || parsedLogin.workerName;
+	if (!address || !workerName) {
+		sendReply({
+			error: 'Parameters are incomplete'
+		});
+		return;
+	}
+
+	let worker = `${address}~${workerName}`;
+	redisClient.multi([
+		['hgetall', `${config.coin}:unique_workers:${worker}`],
+		['hgetall', `${config.coin}:rejects:${worker}`],
+		['lrange', `${config.coin}:worker_history:${worker}`, 0, -1],
+		['get', `${config.coin}:charts:worker_hashrate:${worker}`]
+	]).exec(function (error, replies) {
+		if (error || !replies[0]) {
+			sendReply({
+				error: 'Not found'
+			});
+			return;
+		}
+
+		let data = replies[0];
+		let workerData = {
+			name: workerName,
+			hashrate: minerStats[worker] && minerStats[worker]['hashrate'] ? minerStats[worker]['hashrate'] : 0,
+			lastShare: data.lastShare ? parseInt(data.lastShare) : 0,
+			hashes: data.hashes ? parseInt(data.hashes) : 0,
+			type: data.rewardType || 'prop',
+			rejects: getRejectCounts(replies[1])
+		};
+		setWorkerDetails(workerData, data);
+		if (replies[3]) {
+			let avgs = extractAverageHashrates(replies[3]);
+			workerData.hashrate_1h = avgs[0];
+			workerData.hashrate_6h = avgs[1];
+			workerData.hashrate_24h = avgs[2];
+		}
+		workerData.history = (replies[2] || []).map(function (entry) {
+			let event = JSON.parse(entry);
+			event.ip = maskIp(event.ip);
+			return event;
+		});
+
+		sendReply({
+			worker: workerData
+		});
+	});
+}
+
+/**
+ * Set the connection details of a worker from its unique_workers hash
+ **/
+function setWorkerDetails (worker, data) {
+	let connected = parseInt(data.connected) || 0;
+	let disconnected = parseInt(data.disconnected) || 0;
+	worker.difficulty = parseInt(data.difficulty) || 0;
+	worker.accepted = parseInt(data.accepted) || 0;
+	worker.avgShareTime = parseFloat(data.avgShareTime) || 0;
+	worker.agent = data.agent || '';
+	worker.ip = maskIp(data.ip);
+	worker.port = parseInt(data.port) || 0;
+	worker.connected = connected;
+	worker.disconnected = disconnected;
+	worker.uptime = connected > disconnected ? (Date.now() / 1000 | 0) - connected : 0;
+}
+
+/**
+ * Hide the host part of a worker IP address. Miner IPs authorize /set_miner_payout_level,
+ * so they are never published in full.
+ **/
+function maskIp (ip) {
+	if (!ip) return '';
+	ip = utils.normalizeIp(ip);
+	if (ip.indexOf(':') === -1) {
+		return ip.split('.').slice(0, 2).join('.') + '.x.x';
+	}
+	return ip.split(':').slice(0, 3).join(':') + ':x';
+}
+
+/**
+ * Return the rejected share counts stored in a redis hash, by reason
+ **/
+function getRejectCounts (data) {
+	let rejects = {};
+	for (let field in data) {
+		rejects[field] = parseInt(data[field]) || 0;
+	}
+	return rejects;
+}
+
+/**
+ * Set the status (pending, confirmed or failed) of payments.
+ * Payments sent before confirmations were tracked have no status and count as confirmed.
+ **/
+function setPaymentsStatus (payments, statuses) {
+	payments.forEach(function (payment, i) {
+		payment.status = statuses && statuses[i] ? statuses[i] : 'confirmed';
+	});
+}
+
+/**
+ * Return if a payments:* key holds the payments of a miner (not the pool history or the payment processor bookkeeping)
+ **/
+function isMinerPaymentsKey (key) {
+	let name = key.substr(`${config.coin}:payments:`.length);
+	return ['all', 'pending', 'proposals', 'unconfirmed', 'status'].indexOf(name) === -1;
+}
+
 /**
  * Return blocks data
  **/
@@ -1726,6 +2025,7 @@ function handleGetMinerPayoutLevel (urlParts, response) {
 		}));
 		return;
 	}
+	address = loginParser.parse(address).login;
 
 	// Return current miner payout level
 	redisClient.hget(`${config.coin}:workers:${address}`, 'minPayoutLevel', function (error, value) {
@@ -1780,6 +2080,15 @@ function handleSetMinerPayoutLevel (urlParts, response) {
 		return;
 	}
 
+	let parsedLogin = loginParser.parse(address);
+	if (!utils.validateMinerAddress(parsedLogin.address)) {
+		response.end(JSON.stringify({
+			status: 'Invalid miner address'
+		}));
+		return;
+	}
+	address = parsedLogin.login;
+
 	level = parseFloat(level);
 	if (isNaN(level)) {
 		response.end(JSON.stringify({
@@ -1831,6 +2140,194 @@ function handleSetMinerPayoutLevel (urlParts, response) {
 	});
 }
 
+/**
+ * Miner settings: email notifications
+ **/
+
+/**
+ * Hide most of the local part of an email address, subscriptions can be looked up by anyone knowing the wallet address
+ **/
+function maskEmail (email) {
+	let at = String(email || '').lastIndexOf('@');
+	if (at < 1) return '';
+	return email.substr(0, Math.min(2, at)) + '***' + email.substr(at);
+}
+
+// Get current email notifications subscription
+function handleGetEmailNotifications (urlParts, response) {
+	response.writeHead(200, {
+		'Access-Control-Allow-Origin': '*',
+		'Cache-Control': 'no-cache',
+		'Content-Type': 'application/json'
+	});
+	response.write('\n');
+
+	let address = urlParts.query.address;
+
+	// Check the minimal required parameters for this handle.
+	if (address === undefined) {
+		response.end(JSON.stringify({
+			status: 'Parameters are incomplete'
+		}));
+		return;
+	}
+	address = loginParser.parse(address).login;
+
+	notifications.getSubscription(address, function (error, subscription) {
+		if (error) {
+			response.end(JSON.stringify({
+				status: 'Unable to get the email notifications from database'
+			}));
+			return;
+		}
+
+		response.end(JSON.stringify({
+			status: 'done',
+			enabled: !!subscription,
+			email: subscription ? maskEmail(subscription.email) : null,
+			verified: subscription ? subscription.verified : false,
+			pendingEmail: subscription && subscription.pendingEmail ? maskEmail(subscription.pendingEmail) : null,
+			events: subscription ? subscription.events : [],
+			availableEvents: notifications.events
+		}));
+	});
+}
+
+// Subscribe to (or unsubscribe from) email notifications, a verification email is sent to new subscriptions
+function handleSetEmailNotifications (urlParts, response) {
+	response.writeHead(200, {
+		'Access-Control-Allow-Origin': '*',
+		'Cache-Control': 'no-cache',
+		'Content-Type': 'application/json'
+	});
+	response.write('\n');
+
+	let address = urlParts.query.address;
+	let ip = urlParts.query.ip;
+	let email = urlParts.query.email;
+	let unsubscribe = urlParts.query.action === 'unsubscribe' || email === '';
+	// Check the minimal required parameters for this handle.
+	if (ip === undefined || address === undefined || (email === undefined && !unsubscribe)) {
+		response.end(JSON.stringify({
+			status: 'Parameters are incomplete'
+		}));
+		return;
+	}
+
+	// Do not allow wildcards in the queries.
+	if (ip.indexOf('*') !== -1 || address.indexOf('*') !== -1) {
+		response.end(JSON.stringify({
+			status: 'Remove the wildcard from your miner address'
+		}));
+		return;
+	}
+
+	let parsedLogin = loginParser.parse(address);
+	if (!utils.validateMinerAddress(parsedLogin.address)) {
+		response.end(JSON.stringify({
+			status: 'Invalid miner address'
+		}));
+		return;
+	}
+	address = parsedLogin.login;
+
+	if (!unsubscribe && !notifications.isValidEmail(email)) {
+		response.end(JSON.stringify({
+			status: 'Your email address doesn\'t look valid'
+		}));
+		return;
+	}
+
+	let events = null;
+	if (!unsubscribe && urlParts.query.events) {
+		events = urlParts.query.events.split(',');
+		let unknown = events.filter(function (event) {
+			return notifications.events.indexOf(event) === -1;
+		});
+		if (unknown.length > 0) {
+			response.end(JSON.stringify({
+				status: 'Unknown notification events: ' + unknown.join(', ')
+			}));
+			return;
+		}
+	}
+
+	// Only do a modification if we have seen the IP address in combination with the wallet address.
+	minerSeenWithIPForAddress(address, ip, function (error, found) {
+		if (!found || error) {
+			response.end(JSON.stringify({
+				status: 'We haven\'t seen that IP for that wallet address in our record'
+			}));
+			return;
+		}
+
+		if (unsubscribe) {
+			notifications.unsubscribe(address, function (error) {
+				if (error) {
+					response.end(JSON.stringify({
+						status: 'An error occurred when updating the value in our database'
+					}));
+					return;
+				}
+				log('info', logSystem, 'Removed email notifications for %s', [address]);
+				response.end(JSON.stringify({
+					status: 'done'
+				}));
+			});
+			return;
+		}
+
+		notifications.subscribe(address, email, events, function (error) {
+			if (error) {
+				response.end(JSON.stringify({
+					status: 'Unable to send the verification email'
+				}));
+				return;
+			}
+			log('info', logSystem, 'Email notifications requested for %s, waiting for verification', [address]);
+			response.end(JSON.stringify({
+				status: 'done',
+				verified: false
+			}));
+		});
+	});
+}
+
+// Verify an email notifications subscription with the token of its verification email
+function handleVerifyEmailNotifications (urlParts, response) {
+	response.writeHead(200, {
+		'Access-Control-Allow-Origin': '*',
+		'Cache-Control': 'no-cache',
+		'Content-Type': 'application/json'
+	});
+	response.write('\n');
+
+	let address = urlParts.query.address;
+	let token = urlParts.query.token;
+	// Check the minimal required parameters for this handle.
+	if (address === undefined || token === undefined) {
+		response.end(JSON.stringify({
+			status: 'Parameters are incomplete'
+		}));
+		return;
+	}
+	address = loginParser.parse(address).login;
+
+	notifications.verify(address, token, function (error, verified) {
+		if (error || !verified) {
+			response.end(JSON.stringify({
+				status: 'Invalid or expired verification link'
+			}));
+			return;
+		}
+		log('info', logSystem, 'Email notifications verified for %s', [address]);
+		response.end(JSON.stringify({
+			status: 'done',
+			verified: true
+		}));
+	});
+}
+
 /**
  * Return miners hashrate
  **/
@@ -1880,16 +2377,23 @@ function handleGetWorkersHashrate (response) {
 
 
 /**
- * Authorize access to a secured API call
+ * Return the address of the client (the proxy's one unless trustProxyIP is set)
  **/
-function authorize (request, response) {
-	let sentPass = url.parse(request.url, true)
-		.query.password;
-
-	let remoteAddress = request.connection.remoteAddress;
+function getRemoteAddress (request) {
 	if (config.api.trustProxyIP && request.headers['x-forwarded-for']) {
-		remoteAddress = request.headers['x-forwarded-for'];
+		return request.headers['x-forwarded-for'];
 	}
+	return request.connection.remoteAddress;
+}
+
+/**
+ * Authorize access to a secured API call
+ **/
+function authorize (request, response) {
+	let sentPass = url.parse(request.url, true)
+		.query.password;
+
+	let remoteAddress = getRemoteAddress(request);
 
 	let bindIp = config.api.bindIp ? config.api.bindIp : "0.0.0.0";
 	if (typeof sentPass == "undefined" && (remoteAddress === '127.0.0.1' || remoteAddress === '::ffff:127.0.0.1' || remoteAddress === '::1' || (bindIp != "0.0.0.0" && remoteAddress === bindIp))) {
@@ -1927,23 +2431,24 @@ function authorize (request, response) {
 function handleAdminStats (response) {
 	async.waterfall([
 
-		//Get worker keys & unlocked blocks
+		//Get worker keys, unlocked blocks & PPS reserve
 		function (callback) {
 			redisClient.multi([
 					['keys', `${config.coin}:workers:*`],
-					['zrange', `${config.coin}:blocks:matured`, 0, -1]
+					['zrange', `${config.coin}:blocks:matured`, 0, -1],
+					['hgetall', `${config.coin}:pps:reserve`]
 				]).exec(function (error, replies) {
 					if (error) {
 						log('error', logSystem, 'Error trying to get admin data from redis %j', [error]);
 						callback(true);
 						return;
 					}
-					callback(null, replies[0], replies[1]);
+					callback(null, replies[0], replies[1], replies[2]);
 				});
 		},
 
 		//Get worker balances
-		function (workerKeys, blocks, callback) {
+		function (workerKeys, blocks, ppsReserve, callback) {
 			let redisCommands = workerKeys.map(function (k) {
 				return ['hmget', k, 'balance', 'paid'];
 			});
@@ -1954,23 +2459,32 @@ function handleAdminStats (response) {
 						return;
 					}
 
-					callback(null, replies, blocks);
+					callback(null, replies, blocks, ppsReserve);
 				});
 		},
-		function (workerData, blocks, callback) {
+		function (workerData, blocks, ppsReserve, callback) {
 			let stats = {
 				totalOwed: 0,
 				totalPaid: 0,
 				totalRevenue: 0,
 				totalRevenueSolo: 0,
+				totalRevenuePplns: 0,
+				totalRevenuePps: 0,
 				totalDiff: 0,
 				totalDiffSolo: 0,
+				totalDiffPplns: 0,
+				totalDiffPps: 0,
 				totalShares: 0,
 				totalSharesSolo: 0,
+				totalSharesPplns: 0,
+				totalSharesPps: 0,
 				blocksOrphaned: 0,
 				blocksUnlocked: 0,
 				blocksUnlockedSolo: 0,
-				totalWorkers: 0
+				blocksUnlockedPplns: 0,
+				blocksUnlockedPps: 0,
+				totalWorkers: 0,
+				pps: getPpsReserveData(ppsReserve)
 			};
 
 			for (let i = 0; i < workerData.length; i++) {
@@ -1981,13 +2495,23 @@ function handleAdminStats (response) {
 
 			for (let i = 0; i < blocks.length; i++) {
 				let block = blocks[i].split(':');
-				if (block[0] === 'prop' || block[0] === 'solo') {
+				if (block[0] === 'prop' || block[0] === 'solo' || block[0] === 'pplns' || block[0] === 'pps') {
 					if (block[7]) {
 						if (block[0] === 'solo') {
 							stats.blocksUnlockedSolo++
 							stats.totalDiffSolo += parseInt(block[4])
 							stats.totalSharesSolo += parseInt(block[5])
 							stats.totalRevenueSolo += parseInt(block[7])
+						} else if (block[0] === 'pplns') {
+							stats.blocksUnlockedPplns++
+							stats.totalDiffPplns += parseInt(block[4])
+							stats.totalSharesPplns += parseInt(block[5])
+							stats.totalRevenuePplns += parseInt(block[7])
+						} else if (block[0] === 'pps') {
+							stats.blocksUnlockedPps++
+							stats.totalDiffPps += parseInt(block[4])
+							stats.totalSharesPps += parseInt(block[5])
+							stats.totalRevenuePps += parseInt(block[7])
 						} else {
 							stats.blocksUnlocked++
 							stats.totalDiff += parseInt(block[4])
@@ -2107,21 +2631,141 @@ function handleAdminMonitoring (response) {
 
 /**
  * Administration: log file data
+ *
+ * Files are selected by name (file, rotated files included) or by module and/or severity (rotated=1 adds their
+ * rotated files). Lines can be filtered (q, address, ip), tail=N returns the last N lines (before the byte offset end),
+ * start/end a byte range of a file and follow=1 streams new lines as server-sent events.
+ * A file without other parameters is returned whole.
  **/
-function handleAdminLog (urlParts, response) {
-	let file = urlParts.query.file;
-	let filePath = config.logging.files.directory + '/' + file;
-	if (!file.match(/^\w+\.log$/)) {
-		response.end('wrong log file');
+let maxTailLines = 10000;
+let defaultTailLines = 1000;
+
+function handleAdminLog (request, urlParts, response) {
+	let query = urlParts.query;
+	let sendError = function (code, message) {
+		response.writeHead(code, {
+			'Access-Control-Allow-Origin': '*',
+			'Cache-Control': 'no-cache',
+			'Content-Type': 'text/plain'
+		});
+		response.end(message);
+	};
+
+	if (query.file ? !logReader.isLogFile(query.file) : !query.module && !query.severity) {
+		sendError(400, 'wrong log file');
+		return;
 	}
+
+	let filter = logReader.createFilter([query.q, query.address, query.ip]);
+	let tail = Math.min(parseInt(query.tail) || 0, maxTailLines);
+	let start = query.start !== undefined ? parseInt(query.start) || 0 : null;
+	let end = query.end !== undefined ? parseInt(query.end) || 0 : null;
+
+	logReader.getFileGroups({
+		file: query.file,
+		module: query.module,
+		severity: query.severity,
+		rotated: query.rotated === '1' || query.rotated === 'true'
+	}, function (error, groups) {
+		if (error || groups.length === 0) {
+			sendError(404, 'log file not found');
+			return;
+		}
+
+		if (query.follow === '1' || query.follow === 'true') {
+			followAdminLog(request, response, groups, filter, tail);
+			return;
+		}
+
+		let headers = {
+			'Access-Control-Allow-Origin': '*',
+			'Access-Control-Expose-Headers': 'X-Log-Start, X-Log-End, X-Log-Size',
+			'Cache-Control': 'no-cache',
+			'Content-Type': 'text/plain'
+		};
+		let sendLines = function (error, result) {
+			if (error) {
+				sendError(500, 'unable to read log file');
+				return;
+			}
+			if (result.size !== undefined) {
+				headers['X-Log-Start'] = result.start;
+				headers['X-Log-End'] = result.end !== undefined ? result.end : (end !== null ? Math.min(end, result.size) : result.size);
+				headers['X-Log-Size'] = result.size;
+			}
+			response.writeHead(200, headers);
+			response.end(result.lines.length > 0 ? result.lines.join('\n') + '\n' : '');
+		};
+
+		if (!tail && (start !== null || end !== null)) {
+			if (!query.file) {
+				sendError(400, 'byte ranges need a log file');
+				return;
+			}
+			logReader.range(query.file, start, end, filter, sendLines);
+			return;
+		}
+
+		if (!tail && !filter && query.file) {
+			let filePath = config.logging.files.directory + '/' + query.file;
+			fs.stat(filePath, function (error, stats) {
+				if (error) {
+					sendError(404, 'log file not found');
+					return;
+				}
+				headers['Content-Length'] = stats.size;
+				response.writeHead(200, headers);
+				fs.createReadStream(filePath)
+					.pipe(response);
+			});
+			return;
+		}
+
+		logReader.tail(groups, tail || defaultTailLines, filter, groups.length === 1 ? end : null, sendLines);
+	});
+}
+
+/**
+ * Administration: stream new log lines as server-sent events, after the last tail lines
+ **/
+function followAdminLog (request, response, groups, filter, tail) {
 	response.writeHead(200, {
-		'Content-Type': 'text/plain',
+		'Access-Control-Allow-Origin': '*',
 		'Cache-Control': 'no-cache',
-		'Content-Length': fs.statSync(filePath)
-			.size
+		'Connection': 'keep-alive',
+		'Content-Type': 'text/event-stream'
+	});
+	let sendLine = function (line) {
+		response.write('data: ' + line + '\n\n');
+	};
+
+	let stop = null;
+	let keepAlive = null;
+	let closed = false;
+	request.on('close', function () {
+		closed = true;
+		if (stop) stop();
+		clearInterval(keepAlive);
+	});
+
+	let startFollowing = function () {
+		if (closed) return;
+		// Only the current files are written to, rotation empties them
+		let files = groups.map(files => files[0].replace(/\.log\..+$/, '.log'));
+		stop = logReader.follow(files, filter, sendLine);
+		keepAlive = setInterval(function () {
+			response.write(': keep-alive\n\n');
+		}, 30000);
+	};
+
+	if (!tail) {
+		startFollowing();
+		return;
+	}
+	logReader.tail(groups, tail, filter, null, function (error, result) {
+		if (!error && !closed) result.lines.forEach(sendLine);
+		startFollowing();
 	});
-	fs.createReadStream(filePath)
-		.pipe(response);
 }
 
 /**
@@ -2133,19 +2777,24 @@ function handleAdminPorts (request, response) {
 			redisClient.keys(`${config.coin}:ports:*`, callback);
 		},
 		function (portsKeys, callback) {
-			let redisCommands = portsKeys.map(function (k) {
-				return ['hmget', k, 'port', 'users'];
+			// Rejected shares are counted apart, the ports hashes are reset when the pool starts
+			let redisCommands = [];
+			portsKeys.forEach(function (k) {
+				redisCommands.push(['hgetall', k]);
+				redisCommands.push(['hgetall', `${config.coin}:rejects:port:${k.split(':').pop()}`]);
 			});
 			redisClient.multi(redisCommands).exec(function (error, redisData) {
 					let portsData = {};
 					let port = ''
 					let data = []
-					for (let i in redisData) {
+					for (let i = 0; i < portsKeys.length; i++) {
 						port = portsKeys[i];
-						data = redisData[i];
+						data = redisData[i * 2] || {};
 						portsData[port] = {
-							port: data[0],
-							users: data[1]
+							port: data.port,
+							users: data.users,
+							transport: data.transport || 'tcp',
+							rejects: getRejectCounts(redisData[i * 2 + 1])
 						};
 					}
 					callback(null, portsData);
@@ -2162,10 +2811,389 @@ function handleAdminPorts (request, response) {
 	});
 }
 
+/**
+ * Administration: list, add (action=add&ip=&reason=&duration=) or remove (action=remove&ip=) IP bans.
+ * The ip parameter accepts CIDR ranges, a duration of 0 seconds (default) makes the ban permanent.
+ * With type=address the same actions apply to wallet address bans (address= instead of ip=),
+ * with type=deny or type=allow they edit the login deny-list / allow-list.
+ **/
+function handleAdminBans (urlParts, response) {
+	let query = urlParts.query;
+	let type = query.type || 'ip';
+	if (type === 'deny' || type === 'allow') {
+		handleAdminLoginRules(type, query, response);
+		return;
+	}
+
+	let isAddress = type === 'address';
+	let store = {
+		create: isAddress ? bans.createAddressBan : bans.create,
+		save: isAddress ? bans.saveAddressBan : bans.save,
+		remove: isAddress ? bans.removeAddressBan : bans.remove,
+		list: isAddress ? bans.listAddressBans : bans.list
+	};
+	// Address bans apply to the wallet address, whatever payment ID or worker name is given
+	let target = isAddress ? loginParser.parseStored(String(query.address || '').trim()).address : query.ip;
+
+	switch (query.action) {
+		case 'add':
+			let ban = store.create(target, query.reason || 'Manual ban', 'manual', query.duration);
+			if (!ban) {
+				response.end(JSON.stringify({
+					status: isAddress ? 'Invalid address' : 'Invalid IP address or CIDR range'
+				}));
+				return;
+			}
+			store.save(ban, function (error) {
+				if (error) {
+					response.end(JSON.stringify({
+						status: 'Unable to store ban'
+					}));
+					return;
+				}
+				log('warn', logSystem, 'Admin banned %s (%s)', [isAddress ? ban.address : ban.ip, ban.expires ? 'until ' + ban.expires : 'permanent']);
+				process.send({
+					type: isAddress ? 'banAddress' : 'banIP',
+					ban: ban
+				});
+				response.end(JSON.stringify({
+					status: 'done',
+					ban: ban
+				}));
+			});
+			break;
+		case 'remove':
+			store.remove(target, function (error, removed) {
+				if (error) {
+					response.end(JSON.stringify({
+						status: 'Unable to remove ban'
+					}));
+					return;
+				}
+				if (!removed) {
+					response.end(JSON.stringify({
+						status: 'Ban not found'
+					}));
+					return;
+				}
+				target = String(target).trim();
+				if (!isAddress) target = utils.normalizeIp(target);
+				log('warn', logSystem, 'Admin lifted ban for %s', [target]);
+				process.send(isAddress ? {
+					type: 'unbanAddress',
+					address: target
+				} : {
+					type: 'unbanIP',
+					ip: target
+				});
+				response.end(JSON.stringify({
+					status: 'done'
+				}));
+			});
+			break;
+		default:
+			store.list(function (error, list) {
+				if (error) {
+					response.end(JSON.stringify({
+						error: 'Error collecting bans'
+					}));
+					return;
+				}
+				response.end(JSON.stringify(list));
+			});
+			break;
+	}
+}
+
+/**
+ * Administration: list, add or remove wallet addresses of the login deny-list / allow-list
+ **/
+function handleAdminLoginRules (list, query, response) {
+	if (query.action !== 'add' && query.action !== 'remove') {
+		bans.loginRules(function (error, rules) {
+			if (error) {
+				response.end(JSON.stringify({
+					error: 'Error collecting login rules'
+				}));
+				return;
+			}
+			response.end(JSON.stringify(rules[list]));
+		});
+		return;
+	}
+
+	if (!query.address) {
+		response.end(JSON.stringify({
+			status: 'Parameters are incomplete'
+		}));
+		return;
+	}
+
+	let address = loginParser.parseStored(String(query.address).trim()).address;
+	bans.setLoginRule(list, address, query.action === 'add', function (error) {
+		if (error) {
+			response.end(JSON.stringify({
+				status: 'Unable to update login rules'
+			}));
+			return;
+		}
+		log('warn', logSystem, 'Admin %s %s %s login %s-list', [query.action === 'add' ? 'added' : 'removed', address, query.action === 'add' ? 'to' : 'from', list]);
+		process.send({
+			type: 'loginRules'
+		});
+		response.end(JSON.stringify({
+			status: 'done'
+		}));
+	});
+}
+
+/**
+ * Administration: daemons health as reported by the daemon worker, and which one serves templates
+ **/
+function handleAdminDaemons (response) {
+	redisClient.hgetall(`${config.coin}:daemons`, function (error, data) {
+		if (error) {
+			response.end(JSON.stringify({
+				error: 'Error collecting daemons status'
+			}));
+			return;
+		}
+		let daemons = Object.keys(data || {})
+			.sort(function (a, b) {
+				return a - b;
+			})
+			.map(i => JSON.parse(data[i]));
+		response.end(JSON.stringify(daemons));
+	});
+}
+
+/**
+ * Administration: webhook deliveries that failed every attempt. Without action the dead-letter list is returned,
+ * action=retry delivers them again and action=clear empties it.
+ **/
+function handleAdminWebhooks (urlParts, response) {
+	switch (urlParts.query.action) {
+		case 'retry':
+			webhooks.retryDeadLetters(function (error, count) {
+				if (error) {
+					response.end(JSON.stringify({
+						status: 'Unable to retry the dead-letter deliveries'
+					}));
+					return;
+				}
+				log('info', logSystem, 'Admin retried %d dead-letter webhook deliveries', [count]);
+				response.end(JSON.stringify({
+					status: 'done',
+					retried: count
+				}));
+			});
+			break;
+		case 'clear':
+			webhooks.clearDeadLetters(function (error) {
+				if (error) {
+					response.end(JSON.stringify({
+						status: 'Unable to clear the dead-letter deliveries'
+					}));
+					return;
+				}
+				log('info', logSystem, 'Admin cleared the dead-letter webhook deliveries');
+				response.end(JSON.stringify({
+					status: 'done'
+				}));
+			});
+			break;
+		default:
+			webhooks.getDeadLetters(function (error, deadLetters) {
+				if (error) {
+					response.end(JSON.stringify({
+						error: 'Error collecting dead-letter deliveries'
+					}));
+					return;
+				}
+				response.end(JSON.stringify(deadLetters));
+			});
+			break;
+	}
+}
+
+/**
+ * Administration: reload the configuration file. The master process checks it, applies the safe changes
+ * and answers with the applied settings and the ones needing a restart.
+ **/
+let configReloadRequests = {};
+let configReloadRequestId = 0;
+
+function handleAdminConfigReload (response) {
+	let id = ++configReloadRequestId;
+	let timeout = setTimeout(function () {
+		delete configReloadRequests[id];
+		response.end(JSON.stringify({
+			status: 'error',
+			error: 'No answer from the master process'
+		}));
+	}, 10000);
+	configReloadRequests[id] = function (result) {
+		clearTimeout(timeout);
+		log('info', logSystem, 'Admin reloaded the configuration: %s', [result.status]);
+		response.end(JSON.stringify(result));
+	};
+	process.send({
+		type: 'reloadConfig',
+		id: id
+	});
+}
+
+process.on('message', function (message) {
+	if (message.type === 'configReloaded' && configReloadRequests[message.id]) {
+		configReloadRequests[message.id](message.result);
+		delete configReloadRequests[message.id];
+	}
+});
+
+/**
+ * Administration: manual payments mode proposals. Without action the open proposals are listed,
+ * action=history&limit= lists the finished ones from the archive, newest first, action=exclude|include&id=&address= edits a proposal, action=approve|reject&id= reviews it.
+ * action=review lists the payments under review, action=commit|discard&id= resolves one.
+ * The reviewer is recorded as the optional "by" parameter and the remote address.
+ **/
+function handleAdminPayments (request, urlParts, response) {
+	let query = urlParts.query;
+	let proposalsKey = paymentJournal.proposalsKey;
+	let reviewer = (query.by ? query.by + '@' : '') + getRemoteAddress(request);
+
+	if (query.action === 'history') {
+		let limit = parseInt(query.limit) > 0 ? parseInt(query.limit) : 50;
+		redisClient.lrange(paymentJournal.proposalsArchiveKey, 0, limit - 1, function (error, values) {
+			response.end(JSON.stringify(error ? {
+				error: 'Error collecting archived payment proposals'
+			} : (values || []).map(v => JSON.parse(v))));
+		});
+		return;
+	}
+
+	if (query.action === 'review') {
+		paymentJournal.listReview(function (error, review) {
+			response.end(JSON.stringify(error ? {
+				error: 'Error collecting payments under review'
+			} : review));
+		});
+		return;
+	}
+
+	if (query.action === 'commit' || query.action === 'discard') {
+		if (!query.id) {
+			response.end(JSON.stringify({
+				status: 'Parameters are incomplete'
+			}));
+			return;
+		}
+		paymentJournal.resolveReview(query.id, {
+			resolution: query.action,
+			txHash: query.txHash,
+			fee: query.fee,
+			by: reviewer
+		}, function (error, item) {
+			if (error) {
+				response.end(JSON.stringify({
+					status: error
+				}));
+				return;
+			}
+			log('warn', logSystem, 'Payment %s under review: %s by %s', [query.id, query.action + (query.txHash ? ' ' + query.txHash : ''), reviewer]);
+			response.end(JSON.stringify({
+				status: 'done',
+				payment: item
+			}));
+		});
+		return;
+	}
+
+	if (['exclude', 'include', 'approve', 'reject'].indexOf(query.action) === -1) {
+		redisClient.hvals(proposalsKey, function (error, values) {
+			if (error) {
+				response.end(JSON.stringify({
+					error: 'Error collecting payment proposals'
+				}));
+				return;
+			}
+			// Finished proposals wait here for the next payments run to archive them
+			let proposals = (values || []).map(v => JSON.parse(v))
+				.filter(p => ['proposed', 'approved', 'sending'].indexOf(p.status) !== -1)
+				.sort(function (a, b) {
+					return b.created - a.created;
+				});
+			response.end(JSON.stringify(proposals));
+		});
+		return;
+	}
+
+	if (!query.id || ((query.action === 'exclude' || query.action === 'include') && !query.address)) {
+		response.end(JSON.stringify({
+			status: 'Parameters are incomplete'
+		}));
+		return;
+	}
+
+	redisClient.hget(proposalsKey, query.id, function (error, value) {
+		if (error || !value) {
+			response.end(JSON.stringify({
+				status: 'Proposal not found'
+			}));
+			return;
+		}
+
+		let proposal = JSON.parse(value);
+		if (proposal.status !== 'proposed') {
+			response.end(JSON.stringify({
+				status: 'Proposal was already ' + proposal.status
+			}));
+			return;
+		}
+
+		let now = Date.now() / 1000 | 0;
+		switch (query.action) {
+			case 'exclude':
+				if (proposal.excluded.indexOf(query.address) === -1) proposal.excluded.push(query.address);
+				break;
+			case 'include':
+				proposal.excluded = proposal.excluded.filter(address => address !== query.address);
+				break;
+			case 'approve':
+				proposal.status = 'approved';
+				proposal.approvedBy = reviewer;
+				proposal.approvedAt = now;
+				break;
+			case 'reject':
+				proposal.status = 'rejected';
+				proposal.rejectedBy = reviewer;
+				proposal.rejectedAt = now;
+				break;
+		}
+
+		redisClient.hset(proposalsKey, proposal.id, JSON.stringify(proposal), function (error) {
+			if (error) {
+				response.end(JSON.stringify({
+					status: 'Unable to update proposal'
+				}));
+				return;
+			}
+			log('warn', logSystem, 'Payment proposal %s: %s by %s', [proposal.id, query.action + (query.address ? ' ' + query.address : ''), reviewer]);
+			response.end(JSON.stringify({
+				status: 'done',
+				proposal: proposal
+			}));
+		});
+	});
+}
+
 // Start RPC monitoring
 function startRpcMonitoring (rpc, module, method, interval) {
 	setInterval(function () {
+		let start = Date.now();
 		rpc(method, {}, function (error, response) {
+			rpcDurationMetric.observe({
+				module: module
+			}, (Date.now() - start) / 1000);
 			let stat = {
 				lastCheck: new Date() / 1000 | 0,
 				lastStatus: error ? 'fail' : 'ok',
@@ -2175,12 +3203,7 @@ function startRpcMonitoring (rpc, module, method, interval) {
 				stat.lastFail = stat.lastCheck;
 				stat.lastFailResponse = stat.lastResponse;
 			}
-			let key = getMonitoringDataKey(module);
-			let redisCommands = [];
-			for (let property in stat) {
-				redisCommands.push(['hset', key, property, stat[property]]);
-			}
-			redisClient.multi(redisCommands).exec();
+			saveMonitoringStat(module, stat);
 		});
 	}, interval * 1000);
 }
@@ -2189,21 +3212,29 @@ function startRpcMonitoring (rpc, module, method, interval) {
 function startWalletApiMonitoring (interval) {
 	setInterval(function () {
 		let walletApi = require('./walletApi.js');
+		let start = Date.now();
 		walletApi.getBalance()
 			.then((balanceInfo) => {
+				rpcDurationMetric.observe({
+					module: 'wallet'
+				}, (Date.now() - start) / 1000);
+				walletBalanceMetric.set({
+					state: 'unlocked'
+				}, balanceInfo.unlocked);
+				walletBalanceMetric.set({
+					state: 'locked'
+				}, balanceInfo.locked);
 				let stat = {
 					lastCheck: new Date() / 1000 | 0,
 					lastStatus: 'ok',
 					lastResponse: JSON.stringify(balanceInfo)
 				};
-				let key = getMonitoringDataKey('wallet');
-				let redisCommands = [];
-				for (let property in stat) {
-					redisCommands.push(['hset', key, property, stat[property]]);
-				}
-				redisClient.multi(redisCommands).exec();
+				saveMonitoringStat('wallet', stat);
 			})
 			.catch((error) => {
+				rpcDurationMetric.observe({
+					module: 'wallet'
+				}, (Date.now() - start) / 1000);
 				let stat = {
 					lastCheck: new Date() / 1000 | 0,
 					lastStatus: 'fail',
@@ -2211,16 +3242,103 @@ function startWalletApiMonitoring (interval) {
 					lastFail: new Date() / 1000 | 0,
 					lastFailResponse: error.message || 'Unknown error'
 				};
-				let key = getMonitoringDataKey('wallet');
-				let redisCommands = [];
-				for (let property in stat) {
-					redisCommands.push(['hset', key, property, stat[property]]);
-				}
-				redisClient.multi(redisCommands).exec();
+				saveMonitoringStat('wallet', stat);
 			});
 	}, interval * 1000);
 }
 
+// Store a monitoring check, a status change (ok/fail) is sent to the webhooks
+function saveMonitoringStat (module, stat) {
+	rpcUpMetric.set({
+		module: module
+	}, stat.lastStatus === 'ok' ? 1 : 0);
+	if (stat.lastStatus !== 'ok') {
+		rpcErrorsMetric.inc({
+			module: module
+		});
+	}
+
+	let key = getMonitoringDataKey(module);
+	let redisCommands = [
+		['hget', key, 'lastStatus']
+	];
+	for (let property in stat) {
+		redisCommands.push(['hset', key, property, stat[property]]);
+	}
+	redisClient.multi(redisCommands).exec(function (error, replies) {
+		if (error || !replies[0] || replies[0] === stat.lastStatus) return;
+
+		log(stat.lastStatus === 'ok' ? 'info' : 'warn', logSystem, 'Monitored %s status changed from %s to %s', [module, replies[0], stat.lastStatus]);
+		webhooks.send('statusChanged', {
+			module: module,
+			status: stat.lastStatus,
+			previousStatus: replies[0],
+			response: stat.lastResponse
+		});
+	});
+}
+
+/**
+ * Metrics: the pool forks report theirs through the master process, the API adds the monitoring
+ * checks and reads the block unlocker and payments state from redis when scraped
+ **/
+let forkMetrics = {};
+
+let rpcDurationMetric = metrics.histogram('pool_rpc_duration_seconds', 'Monitoring RPC request duration per module (daemon, wallet, price)');
+let rpcErrorsMetric = metrics.counter('pool_rpc_errors_total', 'Monitoring RPC request errors per module');
+let rpcUpMetric = metrics.gauge('pool_rpc_up', 'Last monitoring RPC request per module succeeded (1) or failed (0)');
+let walletBalanceMetric = metrics.gauge('pool_wallet_balance', 'Pool wallet balance in atomic units');
+let blocksMetric = metrics.gauge('pool_blocks', 'Blocks pending unlock, unlocked and orphaned');
+let paymentsQueueMetric = metrics.gauge('pool_payments_queue', 'Payment batches journaled, waiting for confirmations or proposed for approval');
+
+process.on('message', function (message) {
+	if (message.type === 'metrics') {
+		forkMetrics[message.forkId] = message.metrics;
+	}
+});
+
+function handleMetrics (response) {
+	redisClient.multi([
+		['zcard', `${config.coin}:blocks:candidates`],
+		['hmget', `${config.coin}:stats`, 'unlockedBlocks', 'orphanedBlocks'],
+		['hlen', `${config.coin}:payments:pending`],
+		['hlen', `${config.coin}:payments:unconfirmed`],
+		['hlen', `${config.coin}:payments:proposals`]
+	]).exec(function (error, replies) {
+		if (error) {
+			log('error', logSystem, 'Error collecting metrics from redis: %j', [error]);
+		} else {
+			blocksMetric.set({ state: 'pending' }, replies[0]);
+			blocksMetric.set({ state: 'unlocked' }, parseInt(replies[1][0]) || 0);
+			blocksMetric.set({ state: 'orphaned' }, parseInt(replies[1][1]) || 0);
+			paymentsQueueMetric.set({ state: 'pending' }, replies[2]);
+			paymentsQueueMetric.set({ state: 'unconfirmed' }, replies[3]);
+			paymentsQueueMetric.set({ state: 'proposed' }, replies[4]);
+		}
+
+		let sources = [{
+			labels: {},
+			metrics: metrics.snapshot()
+		}];
+		Object.keys(forkMetrics).forEach(function (forkId) {
+			sources.push({
+				labels: {
+					fork: forkId
+				},
+				metrics: forkMetrics[forkId]
+			});
+		});
+		let body = metrics.format(sources);
+
+		response.writeHead(200, {
+			'Cache-Control': 'no-cache',
+			'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+			'Content-Length': Buffer.byteLength(body, 'utf8')
+		});
+		response.end(body);
+	});
+}
+
 // Return monitoring data key
 function getMonitoringDataKey (module) {
 	return config.coin + ':status:' + module;
@@ -2362,6 +3480,22 @@ server.listen(config.api.port, bindIp, function () {
 	log('info', logSystem, 'API started & listening on %s port %d', [bindIp, config.api.port]);
 });
 
+// Start metrics on their own port
+if (metrics.enabled() && config.metrics.port) {
+	let metricsBindIp = config.metrics.bindIp || bindIp;
+	http.createServer(function (request, response) {
+			if (url.parse(request.url).pathname !== '/metrics') {
+				response.writeHead(404);
+				response.end('Invalid API call');
+				return;
+			}
+			handleMetrics(response);
+		})
+		.listen(config.metrics.port, metricsBindIp, function () {
+			log('info', logSystem, 'Metrics listening on %s port %d', [metricsBindIp, config.metrics.port]);
+		});
+}
+
 // Start API on SSL port
 if (config.api.ssl) {
 	if (!config.api.sslCert) {
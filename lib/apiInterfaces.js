@@ -9,9 +9,21 @@
 var http = require('http');
 var https = require('https');
 
-function jsonHttpRequest (host, port, data, callback, path) {
+// Milliseconds before a request without a reply is aborted
+var defaultTimeout = 30000;
+
+/**
+ * Send a JSON HTTP request, the callback is called once: with the reply, an error or a timeout error
+ **/
+function jsonHttpRequest (host, port, data, callback, path, timeout) {
 	path = path || '/json_rpc';
-	callback = callback || function () {};
+	var done = false;
+	var reply = callback || function () {};
+	callback = function (error, result) {
+		if (done) return;
+		done = true;
+		reply(error, result);
+	};
 	var options = {
 		hostname: host,
 		port: port,
@@ -45,6 +57,11 @@ function jsonHttpRequest (host, port, data, callback, path) {
 	req.on('error', function (e) {
 		callback(e, {});
 	});
+	req.setTimeout(timeout || defaultTimeout, function () {
+		var error = new Error('Request timeout');
+		error.code = 'ETIMEDOUT';
+		req.destroy(error);
+	});
 	req.end(data);
 }
 
@@ -0,0 +1,194 @@
+/**
+ * Cryptonote Node.JS Pool
+ * https://github.com/dvandal/cryptonote-nodejs-pool
+ *
+ * Persistent IP and wallet address ban store shared by all pool forks and the API
+ **/
+
+// Load required modules
+let utils = require('./utils.js');
+
+// Redis hashes holding one JSON encoded ban per IP address/CIDR range and per wallet address
+let bansKey = `${config.coin}:bans`;
+let addressBansKey = `${config.coin}:address_bans`;
+
+// Redis sets holding the login deny-list and allow-list (wallet addresses)
+let loginRulesKey = `${config.coin}:login_rules`;
+
+/**
+ * Ban sources
+ **/
+exports.sources = ['invalidShares', 'duplicateNonce', 'flood', 'manual'];
+
+/**
+ * Create a ban for an IP address or CIDR range, returns null if the address is invalid.
+ * A duration of 0 (or less) creates a permanent ban.
+ **/
+exports.create = function (ip, reason, source, duration) {
+	let address = utils.normalizeIp(String(ip || '').trim());
+	if (!utils.parseCidr(address)) return null;
+
+	let now = Date.now() / 1000 | 0;
+	duration = parseInt(duration) || 0;
+	return {
+		ip: address,
+		reason: reason || '',
+		source: exports.sources.indexOf(source) !== -1 ? source : 'manual',
+		created: now,
+		expires: duration > 0 ? now + duration : 0
+	};
+}
+
+/**
+ * Create a ban for a wallet address
+ **/
+exports.createAddressBan = function (address, reason, source, duration) {
+	address = String(address || '').trim();
+	if (!address) return null;
+
+	let now = Date.now() / 1000 | 0;
+	duration = parseInt(duration) || 0;
+	return {
+		address: address,
+		reason: reason || '',
+		source: exports.sources.indexOf(source) !== -1 ? source : 'manual',
+		created: now,
+		expires: duration > 0 ? now + duration : 0
+	};
+}
+
+/**
+ * Return if a ban has expired
+ **/
+exports.isExpired = function (ban) {
+	return ban.expires > 0 && ban.expires <= (Date.now() / 1000 | 0);
+}
+
+/**
+ * Return if an IP address is covered by a ban
+ **/
+exports.matches = function (ban, ip) {
+	if (ban.ip.indexOf('/') === -1) {
+		return ban.ip === utils.normalizeIp(ip);
+	}
+	return utils.ipMatchesCidr(ip, ban.ip);
+}
+
+/**
+ * Store a ban
+ **/
+exports.save = function (ban, callback) {
+	redisClient.hset(bansKey, ban.ip, JSON.stringify(ban), function (error) {
+		if (callback) callback(error, ban);
+	});
+}
+
+/**
+ * Store a wallet address ban
+ **/
+exports.saveAddressBan = function (ban, callback) {
+	redisClient.hset(addressBansKey, ban.address, JSON.stringify(ban), function (error) {
+		if (callback) callback(error, ban);
+	});
+}
+
+/**
+ * Remove a ban, callback receives whether a ban existed
+ **/
+exports.remove = function (ip, callback) {
+	redisClient.hdel(bansKey, utils.normalizeIp(String(ip || '').trim()), function (error, removed) {
+		if (callback) callback(error, removed > 0);
+	});
+}
+
+/**
+ * Remove a wallet address ban, callback receives whether a ban existed
+ **/
+exports.removeAddressBan = function (address, callback) {
+	redisClient.hdel(addressBansKey, String(address || '').trim(), function (error, removed) {
+		if (callback) callback(error, removed > 0);
+	});
+}
+
+/**
+ * List active bans, purging expired ones from redis
+ **/
+exports.list = function (callback) {
+	listActive(bansKey, callback);
+}
+
+/**
+ * List active wallet address bans, purging expired ones from redis
+ **/
+exports.listAddressBans = function (callback) {
+	listActive(addressBansKey, callback);
+}
+
+/**
+ * Read a ban hash, dropping expired or unreadable entries
+ **/
+function listActive (key, callback) {
+	redisClient.hgetall(key, function (error, data) {
+		if (error) {
+			callback(error);
+			return;
+		}
+
+		let bans = [];
+		let expired = [];
+		for (let field in data) {
+			let ban;
+			try {
+				ban = JSON.parse(data[field]);
+			} catch (e) {
+				expired.push(field);
+				continue;
+			}
+			if (exports.isExpired(ban)) {
+				expired.push(field);
+			} else {
+				bans.push(ban);
+			}
+		}
+		if (expired.length > 0) {
+			redisClient.hdel(key, expired);
+		}
+
+		bans.sort(function (a, b) {
+			return b.created - a.created;
+		});
+		callback(null, bans);
+	});
+}
+
+/**
+ * Return the login deny-list and allow-list
+ **/
+exports.loginRules = function (callback) {
+	redisClient.multi([
+		['smembers', `${loginRulesKey}:deny`],
+		['smembers', `${loginRulesKey}:allow`]
+	]).exec(function (error, replies) {
+		if (error) {
+			callback(error);
+			return;
+		}
+		callback(null, {
+			deny: replies[0] || [],
+			allow: replies[1] || []
+		});
+	});
+}
+
+/**
+ * Add (or remove) a wallet address to the deny or allow list
+ **/
+exports.setLoginRule = function (list, address, enabled, callback) {
+	if (list !== 'deny' && list !== 'allow') {
+		callback('Invalid list');
+		return;
+	}
+	redisClient[enabled ? 'sadd' : 'srem'](`${loginRulesKey}:${list}`, String(address || '').trim(), function (error, changed) {
+		callback(error, changed > 0);
+	});
+}
@@ -9,8 +9,12 @@
 let async = require('async');
 
 let apiInterfaces = require('./apiInterfaces.js')(config.daemon, config.wallet, config.api);
-// let notifications = require('./notifications.js'); // REMOVED
+let notifications = require('./notifications.js');
+let webhooks = require('./webhooks.js');
 let utils = require('./utils.js');
+let rewards = require('./rewards.js');
+let loginParser = require('./login.js');
+let shareJournal = require('./shareJournal.js');
 
 let slushMiningEnabled = config.poolServer.slushMining && config.poolServer.slushMining.enabled;
 
@@ -96,6 +100,17 @@ function cleanupInvalidBlocks(callback) {
 	});
 }
 
+/**
+ * Send block events to the notification subscribers and the webhooks,
+ * once the redis transaction recording the blocks succeeded
+ **/
+function sendBlockEvents(events) {
+	events.forEach(function (event) {
+		notifications.sendToAll(event.type, event.notification);
+		webhooks.send(event.type, event.webhook);
+	});
+}
+
 /**
  * Run block unlocker interval
  **/
@@ -245,6 +260,12 @@ function runInterval() {
 			let redisCommands = blocks.map(function (block) {
 				if (block.rewardType === 'prop') {
 					return ['hgetall', config.coin + ':scores:prop:round' + block.height];
+				} else if (block.rewardType === 'pplns') {
+					// Snapshot of the PPLNS window taken when the block was found
+					return ['hgetall', config.coin + ':scores:pplns:round' + block.height];
+				} else if (block.rewardType === 'pps') {
+					// PPS miners were paid per share, only used for the participants list
+					return ['hgetall', config.coin + ':shares_actual:pps:round' + block.height];
 				} else {
 					return ['hgetall', config.coin + ':scores:solo:round' + block.height];
 				}
@@ -268,6 +289,7 @@ function runInterval() {
 		// Handle orphaned blocks
 		function (blocks, callback) {
 			let orphanCommands = [];
+			let orphanEvents = [];
 			blocks.forEach(function (block) {
 				if (!block.orphaned) { 
 					return;
@@ -276,6 +298,9 @@ function runInterval() {
 				orphanCommands.push(['del', config.coin + ':scores:prop:round' + block.height]);
 				orphanCommands.push(['del', config.coin + ':shares_actual:solo:round' + block.height]);
 				orphanCommands.push(['del', config.coin + ':shares_actual:prop:round' + block.height]);
+				orphanCommands.push(['del', config.coin + ':scores:pplns:round' + block.height]);
+				orphanCommands.push(['del', config.coin + ':shares_actual:pplns:round' + block.height]);
+				orphanCommands.push(['del', config.coin + ':shares_actual:pps:round' + block.height]);
 				orphanCommands.push(['zrem', config.coin + ':blocks:candidates', block.serialized]);
 				orphanCommands.push(['zadd', config.coin + ':blocks:matured', block.height, [
 					block.rewardType,
@@ -294,7 +319,7 @@ function runInterval() {
 					// Group scores by address (aggregate workers for same address)
 					let addressScores = {};
 					Object.keys(block.workerScores).forEach(worker => {
-						let address = worker.split('.')[0]; // Extract address part
+						let address = loginParser.parseStored(worker).address;
 						if (!addressScores[address]) {
 							addressScores[address] = 0;
 						}
@@ -310,22 +335,35 @@ function runInterval() {
 				}
 
 				orphanCommands.push(['hset', config.coin + ':blocks:participants', block.height, block.participants]);
+				orphanCommands.push(['hincrby', config.coin + ':stats', 'orphanedBlocks', 1]);
 
-				if (block.workerScores && !slushMiningEnabled) {
+				if (block.workerScores && !slushMiningEnabled && block.rewardType !== 'pplns' && block.rewardType !== 'pps') {
 					let workerScores = block.workerScores;
 					Object.keys(workerScores).forEach(function (worker) {
 							orphanCommands.push(['hincrby', config.coin + ':scores:roundCurrent', worker, workerScores[worker]]);
 						})
 				}
 
-// 				notifications.sendToAll('blockOrphaned', {
-// 					'HEIGHT': block.height,
-// 					'BLOCKTIME': utils.dateFormat(new Date(parseInt(block.time) * 1000), 'yyyy-mm-dd HH:MM:ss Z'),
-// 					'HASH': block.hash,
-// 					'DIFFICULTY': block.difficulty,
-// 					'SHARES': block.shares,
-// 					'EFFORT': Math.round(block.shares / block.difficulty * 100) + '%'
-// 				})
+				orphanEvents.push({
+					type: 'blockOrphaned',
+					notification: {
+						'HEIGHT': block.height,
+						'BLOCKTIME': utils.dateFormat(new Date(parseInt(block.time) * 1000), 'yyyy-mm-dd HH:MM:ss Z'),
+						'HASH': block.hash,
+						'DIFFICULTY': block.difficulty,
+						'SHARES': block.shares,
+						'EFFORT': Math.round(block.shares / block.difficulty * 100) + '%'
+					},
+					webhook: {
+						height: block.height,
+						hash: block.hash,
+						rewardType: block.rewardType,
+						miner: block.login,
+						time: parseInt(block.time),
+						difficulty: block.difficulty,
+						shares: block.shares
+					}
+				});
 			})
 
 			if (orphanCommands.length > 0) {
@@ -335,6 +373,7 @@ function runInterval() {
 							callback(true);
 							return;
 						}
+						sendBlockEvents(orphanEvents);
 						callback(null, blocks);
 					})
 			} else {
@@ -345,6 +384,7 @@ function runInterval() {
 		// Handle unlocked blocks
 		function (blocks, callback) {
 			let unlockedBlocksCommands = [];
+			let unlockedEvents = [];
 			let payments = {};
 			let totalBlocksUnlocked = 0;
 			blocks.forEach(function (block) {
@@ -357,6 +397,9 @@ function runInterval() {
 				unlockedBlocksCommands.push(['del', config.coin + ':scores:prop:round' + block.height]);
 				unlockedBlocksCommands.push(['del', config.coin + ':shares_actual:solo:round' + block.height]);
 				unlockedBlocksCommands.push(['del', config.coin + ':shares_actual:prop:round' + block.height]);
+				unlockedBlocksCommands.push(['del', config.coin + ':scores:pplns:round' + block.height]);
+				unlockedBlocksCommands.push(['del', config.coin + ':shares_actual:pplns:round' + block.height]);
+				unlockedBlocksCommands.push(['del', config.coin + ':shares_actual:pps:round' + block.height]);
 				unlockedBlocksCommands.push(['zrem', config.coin + ':blocks:candidates', block.serialized]);
 				unlockedBlocksCommands.push(['zadd', config.coin + ':blocks:matured', block.height, [
 					block.rewardType,
@@ -376,7 +419,7 @@ function runInterval() {
 					// Group scores by address (aggregate workers for same address)
 					let addressScores = {};
 					Object.keys(block.workerScores).forEach(worker => {
-						let address = worker.split('.')[0]; // Extract address part
+						let address = loginParser.parseStored(worker).address;
 						if (!addressScores[address]) {
 							addressScores[address] = 0;
 						}
@@ -393,57 +436,60 @@ function runInterval() {
 
 				unlockedBlocksCommands.push(['hset', config.coin + ':blocks:participants', block.height, block.participants]);
 
-				let feePercent = (config.blockUnlocker.poolFee > 0 ? config.blockUnlocker.poolFee : 0) / 100;
-				if (block.rewardType === 'solo') {
-					feePercent = (config.blockUnlocker.soloFee >= 0 ? config.blockUnlocker.soloFee : (config.blockUnlocker.poolFee > 0 ? config.blockUnlocker.poolFee : 0)) / 100;
-				}
-				if (Object.keys(donations).length) {
-					for (let wallet in donations) {
-						let percent = donations[wallet] / 100;
-						feePercent += percent;
-						payments[wallet] = Math.round(block.reward * percent);
-						log('info', logSystem, 'Block %d donation to %s as %d percent of reward: %d', [block.height, wallet, percent, payments[wallet]]);
-					}
+				let split = rewards.getBlockPayments(block);
+				for (let wallet in split.donations) {
+					payments[wallet] = (payments[wallet] || 0) + split.donations[wallet];
+					log('info', logSystem, 'Block %d donation to %s as %d percent of reward: %d', [block.height, wallet, donations[wallet] / 100, split.donations[wallet]]);
 				}
 
-				let reward = 0;
-                		let finderReward = 0;
-				if (block.rewardType === 'solo') {
-				    reward = Math.round(block.reward - (block.reward * feePercent));
-				    log('info', logSystem, 'Unlocked SOLO block %d with reward %d and donation fee %d. Miners reward: %d', [block.height, block.reward, feePercent, reward]);
+				if (block.rewardType === 'pps') {
+					// PPS miners were paid when their shares were accepted, the block reward goes to the reserve
+					unlockedBlocksCommands.push(['hincrby', `${config.coin}:pps:reserve`, 'earned', split.reward]);
+					unlockedBlocksCommands.push(['hincrby', `${config.coin}:pps:reserve`, 'blocks', 1]);
+					log('info', logSystem, 'Unlocked PPS block %d with reward %d and donation fee %d. Reserve credited: %d', [block.height, block.reward, split.feePercent, split.reward]);
+					if (!split.reward) {
+						log('warn', logSystem, 'PPS block %d has no reward, the pool reserve was not credited', [block.height]);
+					}
+				} else if (block.rewardType === 'solo') {
+					log('info', logSystem, 'Unlocked SOLO block %d with reward %d and donation fee %d. Miners reward: %d', [block.height, block.reward, split.feePercent, split.reward]);
 				} else {
-				    let finderPercent = (config.blockUnlocker.finderReward > 0 ? config.blockUnlocker.finderReward : 0) / 100;
-				    finderReward = Math.round(block.reward * finderPercent);
-				    reward = Math.round(block.reward - (block.reward * (feePercent + finderPercent)));
-				    log('info', logSystem, 'Unlocked PROP block %d with reward %d, finders fee %d, and donation fee %d. Miners reward: %d Finders Reward: %d', [block.height, block.reward, finderPercent, feePercent, reward, finderReward]);
+					log('info', logSystem, 'Unlocked %s block %d with reward %d, finders fee %d, and donation fee %d. Miners reward: %d Finders Reward: %d', [block.rewardType.toUpperCase(), block.height, block.reward, split.finderPercent, split.feePercent, split.reward, split.finderReward]);
 				}
 
-				if (block.workerScores) {
-					let totalScore = parseFloat(block.score);
-					//deal with solo block
-					if (block.rewardType === 'solo') {
-						let worker = block.login;
-						payments[worker] = (payments[worker] || 0) + reward;
-						log('info', logSystem, 'SOLO Block %d payment to %s for %d%% of total block score: %d', [block.height, worker, 100, payments[worker]]);
-					} else {
-						Object.keys(block.workerScores).forEach(function (worker) {
-								let percent = block.workerScores[worker] / totalScore;
-								let workerReward = Math.round(reward * percent);
-								payments[worker] = block.login === worker ? (payments[worker] || 0) + (workerReward + finderReward) : (payments[worker] || 0) + workerReward;
-								log('info', logSystem, 'PROP Block %d payment to %s for %d%% of total block score: %d', [block.height, worker, percent * 100, payments[worker]]);
-							});
-					}
+				for (let worker in split.payments) {
+					payments[worker] = (payments[worker] || 0) + split.payments[worker];
+					let percent = block.rewardType === 'solo' ? 100 : block.workerScores[worker] / parseFloat(block.score) * 100;
+					log('info', logSystem, '%s Block %d payment to %s for %d%% of total block score: %d', [block.rewardType.toUpperCase(), block.height, worker, percent, payments[worker]]);
 				}
 
-// 				notifications.sendToAll('blockUnlocked', {
-// 					'HEIGHT': block.height,
-// 					'BLOCKTIME': utils.dateFormat(new Date(parseInt(block.time) * 1000), 'yyyy-mm-dd HH:MM:ss Z'),
-// 					'HASH': block.hash,
-// 					'REWARD': utils.getReadableCoins(block.reward),
-// 					'DIFFICULTY': block.difficulty,
-// 					'SHARES': block.shares,
-// 					'EFFORT': Math.round(block.shares / block.difficulty * 100) + '%'
-// 				});
+				// Keep what each miner was credited for this block, the replay tool diffs against it
+				if (shareJournal.enabled()) {
+					unlockedBlocksCommands.push(shareJournal.creditsCommand(block.height, split.payments));
+				}
+				unlockedBlocksCommands.push(['hincrby', `${config.coin}:stats`, 'unlockedBlocks', 1]);
+
+				unlockedEvents.push({
+					type: 'blockUnlocked',
+					notification: {
+						'HEIGHT': block.height,
+						'BLOCKTIME': utils.dateFormat(new Date(parseInt(block.time) * 1000), 'yyyy-mm-dd HH:MM:ss Z'),
+						'HASH': block.hash,
+						'REWARD': utils.getReadableCoins(block.reward),
+						'DIFFICULTY': block.difficulty,
+						'SHARES': block.shares,
+						'EFFORT': Math.round(block.shares / block.difficulty * 100) + '%'
+					},
+					webhook: {
+						height: block.height,
+						hash: block.hash,
+						rewardType: block.rewardType,
+						miner: block.login,
+						time: parseInt(block.time),
+						difficulty: block.difficulty,
+						shares: block.shares,
+						reward: block.reward
+					}
+				});
 			});
 
 			for (let worker in payments) {
@@ -469,6 +515,16 @@ function runInterval() {
 						return;
 					}
 					log('info', logSystem, 'Unlocked %d blocks and update balances for %d workers', [totalBlocksUnlocked, Object.keys(payments).length]);
+					sendBlockEvents(unlockedEvents);
+					if (shareJournal.enabled()) {
+						shareJournal.trimCredits(function (error, trimmed) {
+							if (error) {
+								log('error', logSystem, 'Error trimming block credits %j', [error]);
+							} else if (trimmed > 0) {
+								log('info', logSystem, 'Removed the credits of %d blocks no longer covered by the share journal', [trimmed]);
+							}
+						});
+					}
 					callback(null);
 				})
 		}
@@ -7,6 +7,9 @@
 
 // Load required modules
 let fs = require('fs');
+let cluster = require('cluster');
+
+let configSchema = require('./configSchema.js');
 
 // Set pool software version
 global.version = "v2.0.0";
@@ -24,12 +27,54 @@ let configFile = (function () {
 	return 'config.json';
 })();
 
-// Read configuration file data
-try {
-	global.config = JSON.parse(fs.readFileSync(configFile));
-} catch (e) {
-	console.error('Failed to read config file ' + configFile + '\n\n' + e);
-	return;
+/**
+ * Read and check configuration data once, in the master before any fork. Forks get the running
+ * configuration of the master (see exports.use). With -validate-config every problem is reported and the process exits.
+ **/
+let validateOnly = process.argv.indexOf('-validate-config') !== -1;
+
+if (!cluster.isWorker) {
+	// Read configuration file data
+	try {
+		global.config = JSON.parse(fs.readFileSync(configFile));
+	} catch (e) {
+		console.error('Failed to read config file ' + configFile + '\n\n' + e);
+		process.exit(1);
+	}
+
+	let result = configSchema.validate(config);
+	result.warnings.forEach(function (warning) {
+		console.warn('Config file ' + configFile + ' warning: ' + warning);
+	});
+	if (result.errors.length > 0) {
+		console.error('Invalid config file ' + configFile + ', ' + result.errors.length + ' problem(s) found:\n\n' + result.errors.map(error => '  - ' + error).join('\n'));
+		process.exit(1);
+	}
+	if (validateOnly) {
+		console.log('Config file ' + configFile + ' is valid' + (result.warnings.length > 0 ? ' (' + result.warnings.length + ' warning(s))' : ''));
+		process.exit(0);
+	}
+}
+
+exports.configFile = configFile;
+
+/**
+ * Use the configuration sent by the master process (cluster workers)
+ **/
+exports.use = function (configData) {
+	global.config = configData;
+	setDonations();
+}
+
+/**
+ * Read and check the configuration file again (configuration hot-reload), throws when it can't be read.
+ * Returns the configuration with its defaults applied, the errors and the warnings found.
+ **/
+exports.read = function () {
+	let newConfig = JSON.parse(fs.readFileSync(configFile));
+	let result = configSchema.validate(newConfig);
+	result.config = newConfig;
+	return result;
 }
 
 /**
@@ -55,14 +100,20 @@ let donationAddresses = {
 	ZRX: '0x4e52AAfC6dAb2b7812A0a7C24a6DF6FAab65Fc9a'
 };
 
-global.donations = {};
+function setDonations () {
+	global.donations = {};
 
-global.devFee = config.blockUnlocker.devDonation || 0.0;
-if (config.blockUnlocker.devDonation === 0){
-	global.devFee = 0.0;
+	global.devFee = config.blockUnlocker.devDonation || 0.0;
+	if (config.blockUnlocker.devDonation === 0){
+		global.devFee = 0.0;
+	}
+
+	let wallet = donationAddresses[config.symbol.toUpperCase()];
+	if (devFee && wallet){
+		global.donations[wallet] = devFee;
+	}
 }
 
-let wallet = donationAddresses[config.symbol.toUpperCase()];
-if (devFee && wallet){
-	global.donations[wallet] = devFee;
+if (!cluster.isWorker) {
+	setDonations();
 }
@@ -0,0 +1,117 @@
+/**
+ * Cryptonote Node.JS Pool
+ * https://github.com/dvandal/cryptonote-nodejs-pool
+ *
+ * Configuration hot-reload: changes between two configurations, applied to the running processes when safe
+ **/
+
+/**
+ * Settings read by the modules when used, they can change without a restart ([] matches any array index).
+ * Any other change needs a restart.
+ **/
+let reloadableSettings = [
+	'blockUnlocker.poolFee',
+	'blockUnlocker.soloFee',
+	'blockUnlocker.networkFee',
+	'blockUnlocker.finderReward',
+	'poolServer.pps.fee',
+	'poolServer.varDiff.minDiff',
+	'poolServer.varDiff.maxDiff',
+	'poolServer.varDiff.targetTime',
+	'poolServer.varDiff.variancePercent',
+	'poolServer.varDiff.maxJump',
+	'poolServer.ports[].difficulty',
+	'poolServer.ports[].desc',
+	'poolServer.ports[].hidden',
+	'payments.interval',
+	'payments.minPayment',
+	'payments.maxPayment',
+	'payments.transferFee',
+	'payments.dynamicTransferFee',
+	'payments.minerPayFee',
+	'payments.maxAddresses',
+	'payments.maxTransactionAmount',
+	'payments.denomination'
+];
+
+// Called in every process once changes are applied
+let reloadCallbacks = [];
+
+function isObject (value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Add the settings changed between two values to changes, arrays of different lengths are a single change
+ **/
+function diffSettings (oldValue, newValue, path, changes) {
+	if (isObject(oldValue) && isObject(newValue)) {
+		let keys = Object.keys(oldValue).concat(Object.keys(newValue).filter(key => !(key in oldValue)));
+		keys.forEach(key => diffSettings(oldValue[key], newValue[key], path ? path + '.' + key : key, changes));
+		return;
+	}
+	if (Array.isArray(oldValue) && Array.isArray(newValue) && oldValue.length === newValue.length) {
+		oldValue.forEach((value, i) => diffSettings(value, newValue[i], `${path}[${i}]`, changes));
+		return;
+	}
+	if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+		changes.push({
+			path: path,
+			value: newValue
+		});
+	}
+}
+
+/**
+ * Return the changes from the running configuration to a new one: the ones that can be applied
+ * and the settings that need a restart
+ **/
+exports.diff = function (oldConfig, newConfig) {
+	let changes = [];
+	diffSettings(oldConfig, newConfig, '', changes);
+	return {
+		changes: changes.filter(change => reloadableSettings.indexOf(change.path.replace(/\[\d+\]/g, '[]')) !== -1),
+		restartRequired: changes.map(change => change.path)
+			.filter(path => reloadableSettings.indexOf(path.replace(/\[\d+\]/g, '[]')) === -1)
+	};
+}
+
+/**
+ * Apply changes to the configuration of this process
+ **/
+exports.apply = function (changes) {
+	changes.forEach(function (change) {
+		let keys = change.path.replace(/\[(\d+)\]/g, '.$1').split('.');
+		let last = keys.pop();
+		let target = config;
+		keys.forEach(function (key) {
+			if (target[key] === undefined) target[key] = {};
+			target = target[key];
+		});
+		// Removed settings have no value (undefined is dropped by the IPC serialization)
+		if (change.value === undefined) {
+			delete target[last];
+		} else {
+			target[last] = change.value;
+		}
+	});
+	reloadCallbacks.forEach(callback => callback(changes));
+}
+
+/**
+ * Register a function called with the changes once applied, for modules keeping values computed from the configuration
+ **/
+exports.onReload = function (callback) {
+	reloadCallbacks.push(callback);
+}
+
+/**
+ * Apply the changes sent by the master process (cluster workers)
+ **/
+exports.listen = function () {
+	process.on('message', function (message) {
+		if (message.type === 'configReload') {
+			exports.apply(message.changes);
+		}
+	});
+}
@@ -0,0 +1,745 @@
+/**
+ * Cryptonote Node.JS Pool
+ * https://github.com/dvandal/cryptonote-nodejs-pool
+ *
+ * Configuration schema: types, ranges and defaults of every section, plus checks between settings
+ **/
+
+// Load required modules
+let fs = require('fs');
+
+let levels = ['info', 'warn', 'error'];
+let formats = ['text', 'json'];
+
+/**
+ * Schema nodes
+ *
+ * type: string, number, integer, boolean, object, array, port (1-65535) or percent (0-100)
+ * required, nullable, default (applied when the setting is missing), min, max, values (allowed values),
+ * check(value) returning an error message, properties (object settings), entries (settings of a map),
+ * strict (unknown settings are reported), items (array entries) and minItems
+ **/
+let eventsList = {
+	type: 'array',
+	items: {
+		type: 'string'
+	}
+};
+
+let toggle = {
+	type: 'boolean',
+	default: false
+};
+
+let chartSettings = {
+	type: 'object',
+	properties: {
+		enabled: toggle,
+		updateInterval: { type: 'integer', min: 1 },
+		stepInterval: { type: 'integer', min: 1 },
+		maximumPeriod: { type: 'integer', min: 1 }
+	}
+};
+
+let invalidSharesBanning = {
+	type: 'object',
+	properties: {
+		enabled: toggle,
+		time: { type: 'integer', min: 0, required: true },
+		invalidPercent: { type: 'percent', required: true },
+		checkThreshold: { type: 'integer', min: 1, required: true }
+	}
+};
+
+let schema = {
+	type: 'object',
+	required: true,
+	properties: {
+		poolHost: { type: 'string', required: true },
+		coin: { type: 'string', required: true, check: value => /^\w+$/.test(value) ? null : 'must only contain letters, digits and underscores (used in redis keys)' },
+		symbol: { type: 'string', required: true },
+		coinUnits: { type: 'integer', min: 1, required: true },
+		coinDecimalPlaces: { type: 'integer', min: 0, max: 20 },
+		coinDifficultyTarget: { type: 'integer', min: 1, required: true },
+		blockchainExplorer: { type: 'string' },
+		transactionExplorer: { type: 'string' },
+		daemonType: { type: 'string', default: 'default' },
+		cnAlgorithm: { type: 'string', default: 'cryptonight' },
+		cnVariant: { type: 'integer', min: 0, default: 0 },
+		cnBlobType: { type: 'integer', min: 0, default: 0 },
+		offset: { type: 'integer', min: 0 },
+		previousOffset: { type: 'integer', min: 0 },
+		isRandomX: { type: 'boolean' },
+		hashingUtil: { type: 'boolean' },
+
+		logging: {
+			type: 'object',
+			required: true,
+			properties: {
+				format: { type: 'string', values: formats, default: 'text' },
+				modules: { type: 'object', default: {}, entries: { type: 'string', values: levels } },
+				files: {
+					type: 'object',
+					required: true,
+					properties: {
+						enabled: { type: 'boolean', default: true },
+						level: { type: 'string', values: levels, default: 'info' },
+						format: { type: 'string', values: formats },
+						directory: { type: 'string', default: 'logs' },
+						flushInterval: { type: 'number', min: 0.1, default: 5 },
+						rotation: {
+							type: 'object',
+							strict: true,
+							properties: {
+								maxSize: { type: 'integer', min: 0 },
+								interval: { type: 'string', values: ['hourly', 'daily'] },
+								maxFiles: { type: 'integer', min: 0 },
+								maxAge: { type: 'number', min: 0 }
+							}
+						}
+					}
+				},
+				console: {
+					type: 'object',
+					required: true,
+					properties: {
+						enabled: { type: 'boolean', default: true },
+						level: { type: 'string', values: levels, default: 'info' },
+						format: { type: 'string', values: formats },
+						colors: { type: 'boolean', default: true }
+					}
+				},
+				syslog: {
+					type: 'object',
+					properties: {
+						enabled: toggle,
+						level: { type: 'string', values: levels, default: 'info' },
+						host: { type: 'string', default: '127.0.0.1' },
+						port: { type: 'port', default: 514 },
+						facility: { type: 'string', values: ['user', 'daemon', 'local0', 'local1', 'local2', 'local3', 'local4', 'local5', 'local6', 'local7'], default: 'local0' },
+						format: { type: 'string', values: formats },
+						appName: { type: 'string' }
+					}
+				}
+			}
+		},
+		configReload: {
+			type: 'object',
+			properties: {
+				watchFile: toggle
+			}
+		},
+
+		poolServer: {
+			type: 'object',
+			required: true,
+			properties: {
+				enabled: { type: 'boolean', default: true },
+				clusterForks: { check: value => value === 'auto' || (Number.isInteger(value) && value > 0) ? null : 'must be "auto" or a number of forks' },
+				poolAddress: { type: 'string', required: true, check: value => /(\s+|\*)/.test(value) ? 'is not a valid wallet address' : null },
+				addressPrefix: { type: 'string' },
+				addressLength: { type: 'integer', min: 1 },
+				blockRefreshInterval: { type: 'integer', min: 1, required: true },
+				minerTimeout: { type: 'integer', min: 1, required: true },
+				sslCert: { type: 'string' },
+				sslKey: { type: 'string' },
+				sslCA: { type: 'string' },
+				mergedMining: { type: 'boolean' },
+				ports: {
+					type: 'array',
+					required: true,
+					items: {
+						type: 'object',
+						strict: true,
+						properties: {
+							port: { type: 'port', required: true },
+							difficulty: { type: 'number', min: 0, required: true, check: value => value > 0 ? null : 'must be above 0' },
+							desc: { type: 'string' },
+							protocol: { type: 'string', values: ['stratum', 'ethstratum'] },
+							websocket: { type: 'boolean' },
+							ssl: { type: 'boolean' },
+							hidden: { type: 'boolean' }
+						}
+					}
+				},
+				varDiff: {
+					type: 'object',
+					required: true,
+					strict: true,
+					properties: {
+						minDiff: { type: 'number', min: 1, required: true },
+						maxDiff: { type: 'number', min: 1, required: true },
+						targetTime: { type: 'number', min: 1, required: true },
+						retargetTime: { type: 'number', min: 1, required: true },
+						variancePercent: { type: 'percent', required: true },
+						maxJump: { type: 'number', min: 1, required: true }
+					}
+				},
+				fixedDiff: {
+					type: 'object',
+					properties: {
+						enabled: toggle,
+						addressSeparator: { type: 'string', default: '+' }
+					}
+				},
+				paymentId: {
+					type: 'object',
+					properties: {
+						addressSeparator: {
+							type: 'string',
+							check: function (value) {
+								if (value.length !== 1) return `must be a single character, got ${JSON.stringify(value)}`;
+								if (value === '.' || value === '+') return `must differ from the worker (".") and fixed difficulty ("+") separators`;
+								return null;
+							}
+						}
+					}
+				},
+				shareTrust: {
+					type: 'object',
+					properties: {
+						enabled: toggle,
+						min: { type: 'percent', required: true },
+						stepDown: { type: 'percent', required: true },
+						threshold: { type: 'integer', min: 0, required: true },
+						penalty: { type: 'integer', min: 0, required: true }
+					}
+				},
+				staleShares: {
+					type: 'object',
+					properties: {
+						enabled: toggle,
+						gracePeriod: { type: 'number', min: 0 },
+						policy: { type: 'string', values: ['full', 'partial', 'none'], default: 'full' },
+						partialCredit: { type: 'number', min: 0, max: 1 }
+					}
+				},
+				banning: invalidSharesBanning,
+				addressBanning: invalidSharesBanning,
+				loginRules: {
+					type: 'object',
+					properties: {
+						allowListMode: toggle,
+						reloadInterval: { type: 'number', min: 1 }
+					}
+				},
+				slushMining: {
+					type: 'object',
+					properties: {
+						enabled: toggle,
+						weight: { type: 'number', min: 1 },
+						blockTime: { type: 'number', min: 1 },
+						lastBlockCheckRate: { type: 'number', min: 1 }
+					}
+				},
+				pplns: {
+					type: 'object',
+					properties: {
+						enabled: toggle,
+						windowSize: { type: 'number', min: 0, required: true, check: value => value > 0 ? null : 'must be above 0' },
+						windowType: { type: 'string', values: ['difficulty', 'shares'], default: 'difficulty' }
+					}
+				},
+				pps: {
+					type: 'object',
+					properties: {
+						enabled: toggle,
+						fee: { type: 'percent' },
+						blockReward: { type: 'number', min: 0 }
+					}
+				}
+			}
+		},
+
+		payments: {
+			type: 'object',
+			required: true,
+			properties: {
+				enabled: { type: 'boolean', default: true },
+				mode: { type: 'string', values: ['auto', 'manual'], default: 'auto' },
+				proposalArchiveSize: { type: 'integer', min: 1, default: 1000 },
+				interval: { type: 'integer', min: 1, required: true },
+				maxAddresses: { type: 'integer', min: 1, required: true },
+				mixin: { type: 'integer', min: 0 },
+				priority: { type: 'integer', min: 0 },
+				transferFee: { type: 'integer', min: 0, required: true },
+				dynamicTransferFee: { type: 'boolean' },
+				minerPayFee: { type: 'boolean' },
+				minPayment: { type: 'integer', min: 0, required: true },
+				maxPayment: { type: 'integer', min: 0, nullable: true },
+				maxTransactionAmount: { type: 'integer', min: 0 },
+				denomination: { type: 'integer', min: 1 },
+				confirmations: { type: 'integer', min: 0 },
+				dropTimeout: { type: 'integer', min: 0 }
+			}
+		},
+
+		shareJournal: {
+			type: 'object',
+			properties: {
+				enabled: toggle,
+				maxLength: { type: 'integer', min: 1 }
+			}
+		},
+
+		blockUnlocker: {
+			type: 'object',
+			required: true,
+			properties: {
+				enabled: { type: 'boolean', default: true },
+				interval: { type: 'integer', min: 1, required: true },
+				depth: { type: 'integer', min: 1, required: true },
+				poolFee: { type: 'percent', required: true },
+				soloFee: { type: 'percent' },
+				devDonation: { type: 'percent', default: 0 },
+				networkFee: { type: 'percent', default: 0 },
+				finderReward: { type: 'percent', default: 0 },
+				fixBlockHeightRPC: { type: 'boolean' },
+				useFirstVout: { type: 'boolean' }
+			}
+		},
+
+		api: {
+			type: 'object',
+			required: true,
+			properties: {
+				enabled: { type: 'boolean', default: true },
+				hashrateWindow: { type: 'integer', min: 1, required: true },
+				updateInterval: { type: 'number', min: 1, required: true },
+				bindIp: { type: 'string', default: '0.0.0.0' },
+				port: { type: 'port', required: true },
+				blocks: { type: 'integer', min: 1, required: true },
+				payments: { type: 'integer', min: 1, required: true },
+				password: { type: 'string', required: true, check: value => value.length > 0 ? null : 'must not be empty' },
+				ssl: toggle,
+				sslPort: { type: 'port' },
+				sslCert: { type: 'string' },
+				sslKey: { type: 'string' },
+				sslCA: { type: 'string' },
+				trustProxyIP: { type: 'boolean' }
+			}
+		},
+
+		daemon: {
+			type: 'object',
+			required: true,
+			properties: {
+				host: { type: 'string', required: true },
+				port: { type: 'port', required: true },
+				timeout: { type: 'integer', min: 1 },
+				submitToAll: { type: 'boolean' },
+				alwaysPoll: { type: 'boolean' },
+				blockNotify: {
+					type: 'object',
+					properties: {
+						enabled: toggle,
+						host: { type: 'string' },
+						port: { type: 'port' },
+						socket: { type: 'string' },
+						pollInterval: { type: 'integer', min: 0 }
+					}
+				}
+			}
+		},
+		daemons: {
+			type: 'array',
+			items: {
+				type: 'object',
+				properties: {
+					name: { type: 'string' },
+					host: { type: 'string', required: true },
+					port: { type: 'port', required: true }
+				}
+			}
+		},
+		walletApi: {
+			type: 'object',
+			properties: {
+				host: { type: 'string', required: true },
+				port: { type: 'port', required: true },
+				apiKey: { type: 'string' },
+				timeout: { type: 'integer', min: 1 },
+				walletFile: { type: 'string' },
+				walletPassword: { type: 'string' }
+			}
+		},
+		redis: {
+			type: 'object',
+			required: true,
+			properties: {
+				host: { type: 'string', default: '127.0.0.1' },
+				port: { type: 'port', default: 6379 },
+				auth: { type: 'string', nullable: true },
+				db: { type: 'integer', min: 0, default: 0 },
+				cleanupInterval: { type: 'integer', min: 1, default: 15 }
+			}
+		},
+		monitoring: {
+			type: 'object',
+			entries: {
+				type: 'object',
+				properties: {
+					enabled: toggle,
+					checkInterval: { type: 'integer', min: 1, required: true },
+					rpcMethod: { type: 'string' }
+				}
+			}
+		},
+
+		email: {
+			type: 'object',
+			properties: {
+				enabled: toggle,
+				fromAddress: { type: 'string' },
+				transport: { type: 'string', values: ['sendmail', 'smtp'] },
+				sendmail: { type: 'object' },
+				smtp: {
+					type: 'object',
+					properties: {
+						host: { type: 'string' },
+						port: { type: 'port' },
+						secure: { type: 'boolean' },
+						auth: { type: 'object' }
+					}
+				}
+			}
+		},
+		telegram: {
+			type: 'object',
+			properties: {
+				enabled: toggle,
+				token: { type: 'string' },
+				channel: { type: 'string' },
+				channelEvents: eventsList,
+				subscriberEvents: eventsList
+			}
+		},
+		notifications: {
+			type: 'object',
+			properties: {
+				operatorEmails: eventsList,
+				verifyUrl: { type: 'string' },
+				verifyTokenLifetime: { type: 'integer', min: 1 },
+				templates: { type: 'object' }
+			}
+		},
+		metrics: {
+			type: 'object',
+			properties: {
+				enabled: toggle,
+				reportInterval: { type: 'number', min: 1, default: 10 },
+				port: { type: 'port' },
+				bindIp: { type: 'string' }
+			}
+		},
+		webhooks: {
+			type: 'object',
+			properties: {
+				enabled: toggle,
+				timeout: { type: 'number', min: 1, default: 10 },
+				maxAttempts: { type: 'integer', min: 1, default: 5 },
+				retryDelay: { type: 'number', min: 0, default: 10 },
+				deadLetterSize: { type: 'integer', min: 1, default: 1000 },
+				endpoints: {
+					type: 'array',
+					default: [],
+					items: {
+						type: 'object',
+						strict: true,
+						properties: {
+							enabled: { type: 'boolean' },
+							url: { type: 'string', required: true, check: value => /^https?:\/\//.test(value) ? null : 'must be an http(s) URL' },
+							secret: { type: 'string' },
+							events: eventsList
+						}
+					}
+				}
+			}
+		},
+
+		prices: {
+			type: 'object',
+			properties: {
+				source: { type: 'string' },
+				currency: { type: 'string' }
+			}
+		},
+		charts: {
+			type: 'object',
+			properties: {
+				pool: { type: 'object', entries: chartSettings },
+				user: { type: 'object', entries: chartSettings },
+				blocks: {
+					type: 'object',
+					properties: {
+						enabled: toggle,
+						days: { type: 'integer', min: 1 }
+					}
+				}
+			}
+		},
+		childPools: {
+			type: 'array',
+			items: {
+				type: 'object',
+				properties: {
+					enabled: toggle
+				}
+			}
+		}
+	}
+};
+
+/**
+ * Checks between settings. They also run when settings have errors, each one skips the values it can't use.
+ **/
+let checks = [
+	function varDiffRange (config, errors, warnings) {
+		let poolServer = getObject(config.poolServer);
+		let varDiff = getObject(poolServer.varDiff);
+		if (!isNumber(varDiff.minDiff) || !isNumber(varDiff.maxDiff)) return;
+		if (varDiff.minDiff >= varDiff.maxDiff) {
+			errors.push('poolServer.varDiff.minDiff must be lower than poolServer.varDiff.maxDiff');
+			return;
+		}
+		getArray(poolServer.ports).forEach(function (portData, i) {
+			let difficulty = getObject(portData).difficulty;
+			if (!isNumber(difficulty)) return;
+			if (difficulty < varDiff.minDiff || difficulty > varDiff.maxDiff) {
+				warnings.push(`poolServer.ports[${i}].difficulty (${difficulty}) is outside of the varDiff range, miners will be retargeted to ${difficulty < varDiff.minDiff ? 'minDiff' : 'maxDiff'}`);
+			}
+		});
+	},
+
+	function poolPorts (config, errors) {
+		let poolServer = getObject(config.poolServer);
+		let ports = getArray(poolServer.ports);
+		if (poolServer.enabled && ports.length === 0) {
+			errors.push('poolServer.ports must have at least one port when the pool server is enabled');
+		}
+		let used = {};
+		let usePort = function (port, name) {
+			if (!Number.isInteger(port)) return;
+			if (used[port]) {
+				errors.push(`${name} (${port}) is already used by ${used[port]}`);
+				return;
+			}
+			used[port] = name;
+		};
+		ports.forEach((portData, i) => usePort(getObject(portData).port, `poolServer.ports[${i}].port`));
+		let api = getObject(config.api);
+		if (api.enabled) {
+			usePort(api.port, 'api.port');
+			if (api.ssl) usePort(api.sslPort, 'api.sslPort');
+		}
+		let metrics = getObject(config.metrics);
+		if (metrics.enabled) usePort(metrics.port, 'metrics.port');
+		let blockNotify = getObject(getObject(config.daemon).blockNotify);
+		if (blockNotify.enabled && !blockNotify.socket) {
+			usePort(blockNotify.port, 'daemon.blockNotify.port');
+		}
+	},
+
+	function loginSeparators (config, errors) {
+		let poolServer = getObject(config.poolServer);
+		let paymentIdSeparator = getObject(poolServer.paymentId).addressSeparator;
+		if (paymentIdSeparator && paymentIdSeparator === getObject(poolServer.fixedDiff).addressSeparator) {
+			errors.push('poolServer.paymentId.addressSeparator must differ from poolServer.fixedDiff.addressSeparator');
+		}
+	},
+
+	function poolSsl (config, errors, warnings) {
+		let poolServer = getObject(config.poolServer);
+		let sslPorts = getArray(poolServer.ports).filter(portData => getObject(portData).ssl);
+		if (sslPorts.length === 0) return;
+		checkFile(poolServer, 'poolServer', 'sslCert', true, errors);
+		checkFile(poolServer, 'poolServer', 'sslKey', true, errors);
+		checkFile(poolServer, 'poolServer', 'sslCA', false, warnings);
+	},
+
+	function apiSsl (config, errors) {
+		let api = getObject(config.api);
+		if (!api.ssl) return;
+		if (!api.sslPort) errors.push('api.sslPort is required when api.ssl is enabled');
+		checkFile(api, 'api', 'sslCert', true, errors);
+		checkFile(api, 'api', 'sslKey', true, errors);
+		checkFile(api, 'api', 'sslCA', true, errors);
+	},
+
+	function fees (config, errors) {
+		let unlocker = getObject(config.blockUnlocker);
+		if (!unlocker.enabled) return;
+		let total = [unlocker.poolFee, unlocker.devDonation, unlocker.networkFee, unlocker.finderReward]
+			.filter(isNumber)
+			.reduce((sum, fee) => sum + fee, 0);
+		if (total > 100) {
+			errors.push(`blockUnlocker fees and finder reward add up to ${total}%, they can't exceed 100%`);
+		}
+	},
+
+	function payments (config, errors) {
+		let payments = getObject(config.payments);
+		if (isNumber(payments.maxPayment) && isNumber(payments.minPayment) && payments.maxPayment < payments.minPayment) {
+			errors.push('payments.maxPayment must not be lower than payments.minPayment');
+		}
+		if (payments.minerPayFee && !payments.dynamicTransferFee && isNumber(payments.minPayment) && isNumber(payments.transferFee) &&
+			payments.minPayment <= payments.transferFee) {
+			errors.push('payments.minPayment must be higher than payments.transferFee when miners pay the fee');
+		}
+	},
+
+	function enabledServices (config, errors) {
+		let email = getObject(config.email);
+		if (email.enabled && !email.fromAddress) {
+			errors.push('email.fromAddress is required when email is enabled');
+		}
+		if (email.enabled && !getObject(config.notifications).verifyUrl) {
+			errors.push('notifications.verifyUrl is required when email is enabled');
+		}
+		let telegram = getObject(config.telegram);
+		if (telegram.enabled && !telegram.token) {
+			errors.push('telegram.token is required when telegram is enabled');
+		}
+		let webhooks = getObject(config.webhooks);
+		if (webhooks.enabled) {
+			let events = require('./webhooks.js').events;
+			getArray(webhooks.endpoints).forEach(function (endpoint, i) {
+				getArray(getObject(endpoint).events).forEach(function (event) {
+					if (events.indexOf(event) === -1) errors.push(`webhooks.endpoints[${i}].events: unknown event "${event}", valid events: ${events.join(', ')}`);
+				});
+			});
+		}
+	}
+];
+
+/**
+ * Return a setting when it is an object, an empty object otherwise. getArray and isNumber
+ * do the same for arrays and numbers, the checks between settings use them on unchecked values.
+ **/
+function getObject (value) {
+	return getType(value) === 'object' && value !== null ? value : {};
+}
+
+function getArray (value) {
+	return Array.isArray(value) ? value : [];
+}
+
+function isNumber (value) {
+	return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * Report a missing file setting or file
+ **/
+function checkFile (section, sectionName, name, required, problems) {
+	let file = section[name];
+	if (!file) {
+		if (required) problems.push(`${sectionName}.${name} is required for SSL`);
+		return;
+	}
+	if (!fs.existsSync(file)) {
+		problems.push(`${sectionName}.${name}: file ${file} does not exist`);
+	}
+}
+
+/**
+ * Return the type of a value as named in the schema
+ **/
+function getType (value) {
+	if (Array.isArray(value)) return 'array';
+	return typeof value;
+}
+
+/**
+ * Check a value against the type and range of its node, return an error message
+ **/
+function checkValue (node, value) {
+	switch (node.type) {
+		case 'port':
+			if (!Number.isInteger(value) || value < 1 || value > 65535) return `must be a port number (1-65535), got ${JSON.stringify(value)}`;
+			break;
+		case 'percent':
+			if (typeof value !== 'number' || !isFinite(value) || value < 0 || value > 100) return `must be a percentage (0-100), got ${JSON.stringify(value)}`;
+			break;
+		case 'integer':
+			if (!Number.isInteger(value)) return `must be an integer, got ${JSON.stringify(value)}`;
+			break;
+		case 'number':
+			if (typeof value !== 'number' || !isFinite(value)) return `must be a number, got ${JSON.stringify(value)}`;
+			break;
+		case undefined:
+			break;
+		default:
+			if (getType(value) !== node.type) return `must be ${node.type === 'array' || node.type === 'object' ? 'an' : 'a'} ${node.type}, got ${JSON.stringify(value)}`;
+	}
+	if (node.min !== undefined && value < node.min) return `must be at least ${node.min}, got ${value}`;
+	if (node.max !== undefined && value > node.max) return `must be at most ${node.max}, got ${value}`;
+	if (node.values && node.values.indexOf(value) === -1) return `must be one of ${node.values.join(', ')}, got ${JSON.stringify(value)}`;
+	if (node.minItems !== undefined && value.length < node.minItems) return `must have at least ${node.minItems} entries`;
+	return node.check ? node.check(value) : null;
+}
+
+/**
+ * Check the setting key of parent against its node and apply the defaults of missing settings.
+ * Settings of a disabled section (enabled: false) are not required.
+ **/
+function checkSetting (node, parent, key, path, result, disabled) {
+	let value = parent[key];
+	if (value === undefined || (value === null && !node.nullable)) {
+		if (node.default !== undefined) {
+			parent[key] = JSON.parse(JSON.stringify(node.default));
+			value = parent[key];
+		} else {
+			if (node.required && !disabled) result.errors.push(`${path} is required`);
+			return;
+		}
+	}
+	if (value === null) return;
+
+	let error = checkValue(node, value);
+	if (error) {
+		result.errors.push(`${path} ${error}`);
+		return;
+	}
+
+	if (node.properties) {
+		Object.keys(node.properties).forEach(function (name) {
+			checkSetting(node.properties[name], value, name, `${path}.${name}`, result, disabled || value.enabled === false);
+		});
+		if (node.strict) {
+			Object.keys(value).forEach(function (name) {
+				if (!node.properties[name]) result.warnings.push(`${path}.${name} is an unknown setting`);
+			});
+		}
+	}
+	if (node.entries) {
+		Object.keys(value).forEach(function (name) {
+			checkSetting(node.entries, value, name, `${path}.${name}`, result, disabled);
+		});
+	}
+	if (node.items) {
+		value.forEach(function (item, i) {
+			checkSetting(node.items, value, i, `${path}[${i}]`, result, disabled);
+		});
+	}
+}
+
+/**
+ * Check a configuration and apply the defaults of missing settings. Returns every error (the pool can't start)
+ * and warning found.
+ **/
+exports.validate = function (config) {
+	let result = {
+		errors: [],
+		warnings: []
+	};
+	let root = {
+		config: config
+	};
+	checkSetting(schema, root, 'config', 'config', result);
+	// Paths are relative to the file
+	result.errors = result.errors.map(error => error.replace(/^config\./, ''));
+	result.warnings = result.warnings.map(warning => warning.replace(/^config\./, ''));
+	checks.forEach(check => check(getObject(root.config), result.errors, result.warnings));
+	return result;
+}
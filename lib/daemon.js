@@ -1,3 +1,6 @@
+let fs = require('fs');
+let http = require('http');
+let url = require('url');
 let utils = require('./utils.js');
 let async = require('async');
 let apiInterfaces = require('./apiInterfaces.js')(config.daemon, config.wallet, config.api);
@@ -30,46 +33,74 @@ let templateData = JSON.stringify({
 
 require('./exceptionWriter.js')(logSystem);
 
+// Daemons polled for block templates, config.daemon alone when no list is configured
+let daemons = (config.daemons && config.daemons.length > 0 ? config.daemons : [config.daemon]).map(function (daemon) {
+	return {
+		name: daemon.name || `${daemon.host}:${daemon.port}`,
+		host: daemon.host,
+		port: daemon.port,
+		score: 100,
+		height: 0,
+		hash: null,
+		latency: 0,
+		lastCheck: 0,
+		lastError: null
+	};
+});
+let servingDaemon = null;
 
-function runInterval () {
+// Milliseconds before a daemon request is aborted and counted as failed
+let daemonTimeout = config.daemon.timeout || 10000;
+
+// Block notifications trigger a refresh right away, polling is kept as a fallback
+let blockNotify = config.daemon.blockNotify || {};
+let refreshTimeout = null;
+let refreshing = false;
+let notifyPending = false;
+
+
+function scheduleRefresh (delay) {
+	refreshing = false;
+	if (notifyPending) {
+		notifyPending = false;
+		runInterval(true);
+		return;
+	}
+	refreshTimeout = setTimeout(runInterval, delay);
+}
+
+function runInterval (notified) {
+	clearTimeout(refreshTimeout);
+	refreshing = true;
 	async.waterfall([
 			function (callback) {
-				apiInterfaces.jsonHttpRequest(config.daemon.host, config.daemon.port, blockData, function (err, res) {
-					if (err) {
-						log('error', logSystem, '%s error from daemon', [config.coin]);
-						setTimeout(runInterval, 3000);
+				pollDaemons(function () {
+					let candidates = getTemplateCandidates();
+					saveDaemonsStatus(candidates[0]);
+					if (candidates.length === 0) {
+						log('error', logSystem, '%s error from daemon, no healthy daemon available', [config.coin]);
+						scheduleRefresh(3000);
 						return;
 					}
-					if (res && res.result && res.result.status === "OK" && res.result.hasOwnProperty('block_header')) {
-						let hash = res.result.block_header.hash.toString('hex');
-						if (!lastHash || lastHash !== hash) {
-							lastHash = hash
-							log('info', logSystem, '%s found new hash %s', [config.coin, hash]);
-							callback(null, true);
-							return;
-						} else if (config.daemon.alwaysPoll || false) {
-							callback(null, true);
-							return;
-						} else {
-							callback(true);
-							return;
-						}
+
+					let hash = candidates[0].hash;
+					if (!lastHash || lastHash !== hash) {
+						lastHash = hash
+						log('info', logSystem, '%s found new hash %s', [config.coin, hash]);
+						callback(null, candidates);
+						return;
+					} else if (notified === true || config.daemon.alwaysPoll || false) {
+						callback(null, candidates);
+						return;
 					} else {
-						log('error', logSystem, 'bad reponse from daemon');
-						setTimeout(runInterval, 3000);
+						callback(true);
 						return;
 					}
 				});
 			},
-			function (getbc, callback) {
-				apiInterfaces.jsonHttpRequest(config.daemon.host, config.daemon.port, templateData, function (err, res) {
-					if (err) {
-						log('error', logSystem, 'Error polling getblocktemplate %j', [err])
-						callback(null)
-						return
-					}
-					if (res.error) {
-						log('error', logSystem, 'Error polling getblocktemplate %j', [res.error])
+			function (candidates, callback) {
+				getBlockTemplate(candidates, 0, function (res, daemon) {
+					if (!res) {
 						callback(null)
 						return
 					}
@@ -86,7 +117,14 @@ function runInterval () {
 
 					process.send({
 						type: 'BlockTemplate',
-						block: res.result
+						block: res.result,
+						// Serving daemon first, then the other healthy ones: used to submit blocks
+						daemons: [daemon].concat(daemons.filter(d => d !== daemon && isHealthy(d)))
+							.map(d => ({
+								name: d.name,
+								host: d.host,
+								port: d.port
+							}))
 					})
 					callback(null)
 				})
@@ -94,10 +132,158 @@ function runInterval () {
 		],
 		function (error) {
 			if (error) {}
-			setTimeout(function () {
-				runInterval()
-			}, config.poolServer.blockRefreshInterval)
+			scheduleRefresh(blockNotify.enabled && blockNotify.pollInterval ? blockNotify.pollInterval : config.poolServer.blockRefreshInterval)
 		})
 }
 
+/**
+ * Handle a block notification: refresh now, or right after the refresh in progress
+ **/
+function onBlockNotify (hash) {
+	log('info', logSystem, 'Block notification received%s', [hash ? ' for ' + hash : '']);
+	if (refreshing) {
+		notifyPending = true;
+		return;
+	}
+	runInterval(true);
+}
+
+/**
+ * Start the block notification listener, on a TCP port or a UNIX socket.
+ * The daemon's block-notify hook calls it, e.g. curl http://127.0.0.1:8119/notify?hash=%s
+ **/
+function startBlockNotifyListener () {
+	let server = http.createServer(function (request, response) {
+		let hash = url.parse(request.url, true).query.hash;
+		response.writeHead(200, {
+			'Content-Type': 'text/plain'
+		});
+		response.end('OK');
+		onBlockNotify(hash);
+	});
+	server.on('error', function (error) {
+		log('error', logSystem, 'Could not start block notification listener, polling only: %j', [error]);
+	});
+
+	if (blockNotify.socket) {
+		// Remove the socket left by a previous run
+		if (fs.existsSync(blockNotify.socket)) fs.unlinkSync(blockNotify.socket);
+		server.listen(blockNotify.socket, function () {
+			log('info', logSystem, 'Block notification listener started on %s', [blockNotify.socket]);
+		});
+	} else {
+		server.listen(blockNotify.port || 8119, blockNotify.host || '127.0.0.1', function () {
+			log('info', logSystem, 'Block notification listener started on %s:%d', [blockNotify.host || '127.0.0.1', blockNotify.port || 8119]);
+		});
+	}
+}
+
+/**
+ * Poll the last block header of every daemon and update their health score
+ **/
+function pollDaemons (callback) {
+	async.each(daemons, function (daemon, daemonCallback) {
+		let start = Date.now();
+		apiInterfaces.jsonHttpRequest(daemon.host, daemon.port, blockData, function (err, res) {
+			daemon.lastCheck = Date.now() / 1000 | 0;
+			if (!err && res && res.result && res.result.status === "OK" && res.result.hasOwnProperty('block_header')) {
+				daemon.height = res.result.block_header.height;
+				daemon.hash = res.result.block_header.hash.toString('hex');
+				daemon.latency = Date.now() - start;
+				daemon.lastError = null;
+				updateScore(daemon, true);
+			} else {
+				daemon.lastError = err ? (err.code || err.message || String(err)) : 'bad reponse from daemon';
+				updateScore(daemon, false);
+			}
+			daemonCallback();
+		}, null, daemonTimeout);
+	}, function () {
+		callback();
+	});
+}
+
+/**
+ * Raise or lower the health score of a daemon (0 to 100)
+ **/
+function updateScore (daemon, success) {
+	let wasHealthy = isHealthy(daemon);
+	daemon.score = success ? Math.min(100, daemon.score + 20) : Math.max(0, daemon.score - 50);
+	if (wasHealthy && !isHealthy(daemon)) {
+		log('warn', logSystem, 'Daemon %s is unhealthy: %s', [daemon.name, daemon.lastError]);
+	} else if (!wasHealthy && isHealthy(daemon)) {
+		log('info', logSystem, 'Daemon %s is healthy again', [daemon.name]);
+	}
+}
+
+function isHealthy (daemon) {
+	return daemon.score >= 50;
+}
+
+/**
+ * Return the healthy daemons at the highest known height in configuration order,
+ * lagging daemons (e.g. syncing after an upgrade) never serve templates
+ **/
+function getTemplateCandidates () {
+	let healthy = daemons.filter(isHealthy);
+	let maxHeight = Math.max.apply(null, healthy.map(d => d.height).concat([0]));
+	return healthy.filter(d => d.height === maxHeight);
+}
+
+/**
+ * Get a block template, failing over to the next candidate daemon on errors
+ **/
+function getBlockTemplate (candidates, index, callback) {
+	let daemon = candidates[index];
+	if (!daemon) {
+		callback(null);
+		return;
+	}
+	apiInterfaces.jsonHttpRequest(daemon.host, daemon.port, templateData, function (err, res) {
+		if (err || res.error) {
+			log('error', logSystem, 'Error polling getblocktemplate from %s %j', [daemon.name, err || res.error])
+			daemon.lastError = err ? (err.code || err.message || String(err)) : JSON.stringify(res.error);
+			updateScore(daemon, false);
+			getBlockTemplate(candidates, index + 1, callback);
+			return
+		}
+		if (servingDaemon !== daemon) {
+			if (servingDaemon) {
+				log('warn', logSystem, 'Switching block templates from daemon %s to %s', [servingDaemon.name, daemon.name]);
+			}
+			servingDaemon = daemon;
+			saveDaemonsStatus(daemon);
+		}
+		callback(res, daemon);
+	}, null, daemonTimeout)
+}
+
+/**
+ * Store the daemons status for the admin API
+ **/
+function saveDaemonsStatus (serving) {
+	let redisCommands = [['del', `${config.coin}:daemons`]];
+	daemons.forEach(function (daemon, i) {
+		redisCommands.push(['hset', `${config.coin}:daemons`, i, JSON.stringify({
+			name: daemon.name,
+			host: daemon.host,
+			port: daemon.port,
+			score: daemon.score,
+			healthy: isHealthy(daemon),
+			height: daemon.height,
+			latency: daemon.latency,
+			lastCheck: daemon.lastCheck,
+			lastError: daemon.lastError,
+			serving: daemon === (servingDaemon || serving)
+		})]);
+	});
+	redisClient.multi(redisCommands).exec(function (error) {
+		if (error) log('error', logSystem, 'Error saving daemons status %j', [error]);
+	});
+}
+
+if (blockNotify.enabled) {
+	startBlockNotifyListener();
+}
+
 runInterval()
@@ -0,0 +1,75 @@
+/**
+ * Cryptonote Node.JS Pool
+ * https://github.com/dvandal/cryptonote-nodejs-pool
+ *
+ * Email sending (SMTP or local sendmail)
+ **/
+
+// Load required modules
+let nodemailer = require('nodemailer');
+
+// Initialize log system
+let logSystem = 'email';
+
+let emailConfig = config.email || {};
+let transporter = null;
+
+/**
+ * Return the nodemailer transport for the configured transport type
+ **/
+function getTransporter () {
+	if (transporter) return transporter;
+
+	switch (emailConfig.transport) {
+		case 'smtp':
+			transporter = nodemailer.createTransport(emailConfig.smtp);
+			break;
+		case 'sendmail':
+			transporter = nodemailer.createTransport({
+				sendmail: true,
+				newline: 'unix',
+				path: emailConfig.sendmail && emailConfig.sendmail.path ? emailConfig.sendmail.path : '/usr/sbin/sendmail'
+			});
+			break;
+		default:
+			log('error', logSystem, 'Unknown email transport "%s", use smtp or sendmail', [emailConfig.transport]);
+			return null;
+	}
+	return transporter;
+}
+
+/**
+ * Return if sending emails is enabled
+ **/
+exports.enabled = function () {
+	return !!emailConfig.enabled;
+}
+
+/**
+ * Send an email
+ **/
+exports.sendEmail = function (email, subject, content, callback) {
+	if (!exports.enabled()) {
+		if (callback) callback('Email is disabled');
+		return;
+	}
+	let transport = getTransporter();
+	if (!transport) {
+		if (callback) callback('Email transport is not configured');
+		return;
+	}
+
+	transport.sendMail({
+		from: emailConfig.fromAddress,
+		to: email,
+		subject: subject,
+		text: content
+	}, function (error) {
+		if (error) {
+			log('error', logSystem, 'Unable to send email to %s: %s', [email, error.message || error]);
+		} else {
+			log('info', logSystem, 'Email sent to %s: %s', [email, subject]);
+		}
+		if (callback) callback(error ? (error.message || error) : null);
+	});
+}
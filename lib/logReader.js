@@ -0,0 +1,345 @@
+/**
+ * Cryptonote Node.JS Pool
+ * https://github.com/dvandal/cryptonote-nodejs-pool
+ *
+ * Log files reader for the admin log viewer (tail, byte ranges, filters, live follow)
+ **/
+
+// Load required modules
+let fs = require('fs');
+
+let logDir = config.logging.files.directory;
+
+// Bytes read at once when reading backwards
+let chunkSize = 65536;
+// Largest byte range returned at once
+let maxRangeSize = 1048576;
+
+/**
+ * Log file names: <module>_<severity>.log, rotated as <module>_<severity>.log.<yyyymmdd-HHMMss>[-<pid>]
+ **/
+let logFilePattern = /^(\w+)_(\w+)\.log(?:\.(\d{8}-\d{6}(?:-\d+)?))?$/;
+
+exports.isLogFile = function (file) {
+	return logFilePattern.test(String(file || ''));
+}
+
+/**
+ * Return the log files to read: a single file, or the files of a module and/or severity.
+ * Files are grouped per module and severity, the current file first followed by its rotated files (newest first).
+ **/
+exports.getFileGroups = function (options, callback) {
+	fs.readdir(logDir, function (error, files) {
+		if (error) {
+			callback(error);
+			return;
+		}
+		let groups = {};
+		files.forEach(function (file) {
+			let match = logFilePattern.exec(file);
+			if (!match) return;
+			if (options.file && file !== options.file) return;
+			if (options.module && match[1] !== options.module) return;
+			if (options.severity && match[2] !== options.severity) return;
+			if (match[3] && !options.rotated && !options.file) return;
+
+			let group = match[1] + '_' + match[2];
+			if (!groups[group]) groups[group] = [];
+			groups[group].push(file);
+		});
+		callback(null, Object.keys(groups).map(function (group) {
+			// The current file sorts before its rotated files, rotated files sort by time
+			return groups[group].sort(function (a, b) {
+				if (a === group + '.log') return -1;
+				if (b === group + '.log') return 1;
+				return a < b ? 1 : -1;
+			});
+		}));
+	});
+}
+
+/**
+ * Return a line filter: every given term (text, miner address, IP) has to be found in the line, case insensitive
+ **/
+exports.createFilter = function (terms) {
+	terms = terms.filter(term => term).map(term => String(term).toLowerCase());
+	if (terms.length === 0) return null;
+	return function (line) {
+		let lower = line.toLowerCase();
+		return terms.every(term => lower.indexOf(term) !== -1);
+	};
+}
+
+/**
+ * Return the time of a text (local time) or JSON line, used to merge lines of several files
+ **/
+function getLineTime (line) {
+	if (line.charAt(0) === '{') {
+		try {
+			return Date.parse(JSON.parse(line).time) || 0;
+		} catch (e) {
+			return 0;
+		}
+	}
+	return Date.parse(line.substr(0, 19)) || 0;
+}
+
+/**
+ * Call visit for each line of a buffer, last line first, until it returns false
+ **/
+function visitLinesBackwards (buffer, offset, visit) {
+	let end = buffer.length;
+	while (end > 0) {
+		let newline = buffer.lastIndexOf(0x0a, end - 1);
+		let lineStart = newline + 1;
+		if (lineStart < end && visit(buffer.toString('utf8', lineStart, end), offset + lineStart) === false) {
+			return false;
+		}
+		end = newline;
+	}
+	return true;
+}
+
+/**
+ * Read the last lines (matching the filter) of a file before the byte offset end. Calls back with
+ * the lines and the byte offset of the first one, 0 when the start of the file was reached.
+ **/
+function tailFile (file, count, filter, end, callback) {
+	let filePath = logDir + '/' + file;
+	fs.open(filePath, 'r', function (error, fd) {
+		if (error) {
+			callback(error);
+			return;
+		}
+		fs.fstat(fd, function (error, stats) {
+			if (error) {
+				fs.close(fd, function () {});
+				callback(error);
+				return;
+			}
+			let position = end !== undefined && end !== null ? Math.min(end, stats.size) : stats.size;
+			let lines = [];
+			let start = position;
+			let carry = Buffer.alloc(0);
+
+			let finish = function (error) {
+				fs.close(fd, function () {});
+				callback(error, {
+					lines: lines,
+					start: lines.length < count ? 0 : start,
+					size: stats.size
+				});
+			};
+
+			let readChunk = function () {
+				if (position <= 0 || lines.length >= count) {
+					finish(null);
+					return;
+				}
+				let length = Math.min(chunkSize, position);
+				position -= length;
+				let chunk = Buffer.alloc(length);
+				fs.read(fd, chunk, 0, length, position, function (error) {
+					if (error) {
+						finish(error);
+						return;
+					}
+					let buffer = Buffer.concat([chunk, carry]);
+					let offset = position;
+					if (position > 0) {
+						// The first line may start in the previous chunk
+						let newline = buffer.indexOf(0x0a);
+						if (newline === -1) {
+							carry = buffer;
+							readChunk();
+							return;
+						}
+						carry = buffer.slice(0, newline);
+						buffer = buffer.slice(newline + 1);
+						offset += newline + 1;
+					}
+					visitLinesBackwards(buffer, offset, function (line, lineOffset) {
+						if (filter && !filter(line)) return true;
+						lines.unshift(line);
+						start = lineOffset;
+						return lines.length < count;
+					});
+					readChunk();
+				});
+			};
+			readChunk();
+		});
+	});
+}
+
+/**
+ * Return the last count lines matching the filter. A group continues in its rotated files until it has enough lines,
+ * the lines of several groups are merged by time. end (a byte offset) pages backwards through a single file.
+ **/
+exports.tail = function (groups, count, filter, end, callback) {
+	let results = [];
+	let pending = groups.length;
+	if (pending === 0) {
+		callback(null, {
+			lines: [],
+			start: 0
+		});
+		return;
+	}
+
+	groups.forEach(function (files) {
+		let lines = [];
+		let first = null;
+		let next = function (index) {
+			if (index >= files.length || lines.length >= count) {
+				results.push({
+					lines: lines,
+					first: first
+				});
+				if (--pending === 0) done();
+				return;
+			}
+			tailFile(files[index], count - lines.length, filter, index === 0 ? end : null, function (error, data) {
+				if (error) {
+					next(index + 1);
+					return;
+				}
+				if (index === 0) first = data;
+				lines = data.lines.concat(lines);
+				next(index + 1);
+			});
+		};
+		next(0);
+	});
+
+	let done = function () {
+		if (results.length === 1) {
+			callback(null, {
+				lines: results[0].lines,
+				start: results[0].first ? results[0].first.start : 0,
+				size: results[0].first ? results[0].first.size : 0
+			});
+			return;
+		}
+		let lines = [];
+		results.forEach(function (result) {
+			result.lines.forEach(line => lines.push({
+				time: getLineTime(line),
+				line: line
+			}));
+		});
+		// Array sort is stable, lines of the same time keep their file order
+		lines.sort((a, b) => a.time - b.time);
+		callback(null, {
+			lines: lines.slice(-count).map(entry => entry.line)
+		});
+	};
+}
+
+/**
+ * Return the lines (matching the filter) of a byte range of a file, at most maxRangeSize bytes.
+ * The range is cut after its last whole line, the returned end is where the next page starts.
+ **/
+exports.range = function (file, start, end, filter, callback) {
+	let filePath = logDir + '/' + file;
+	fs.stat(filePath, function (error, stats) {
+		if (error) {
+			callback(error);
+			return;
+		}
+		start = Math.max(0, Math.min(start || 0, stats.size));
+		end = Math.min(end !== undefined && end !== null ? end : stats.size, stats.size, start + maxRangeSize);
+		if (end <= start) {
+			callback(null, {
+				lines: [],
+				start: start,
+				end: start,
+				size: stats.size
+			});
+			return;
+		}
+
+		let chunks = [];
+		fs.createReadStream(filePath, {
+				start: start,
+				end: end - 1
+			})
+			.on('data', chunk => chunks.push(chunk))
+			.on('error', callback)
+			.on('end', function () {
+				let buffer = Buffer.concat(chunks);
+				let newline = buffer.lastIndexOf(0x0a);
+				if (end < stats.size && newline !== -1) {
+					buffer = buffer.slice(0, newline + 1);
+					end = start + buffer.length;
+				}
+				let lines = buffer.toString('utf8').split('\n').filter(line => line);
+				callback(null, {
+					lines: filter ? lines.filter(filter) : lines,
+					start: start,
+					end: end,
+					size: stats.size
+				});
+			});
+	});
+}
+
+/**
+ * Call onLine for each new line (matching the filter) written to the files, returns the function stopping it.
+ * A file getting smaller was rotated, it is read again from its start.
+ **/
+exports.follow = function (files, filter, onLine) {
+	let watchers = files.map(function (file) {
+		let filePath = logDir + '/' + file;
+		let position = null;
+		let carry = '';
+		let reading = false;
+
+		let read = function (size) {
+			if (reading || size <= position) return;
+			reading = true;
+			let chunks = [];
+			fs.createReadStream(filePath, {
+					start: position,
+					end: size - 1
+				})
+				.on('data', chunk => chunks.push(chunk))
+				.on('error', function () {
+					reading = false;
+				})
+				.on('end', function () {
+					position = size;
+					reading = false;
+					let lines = (carry + Buffer.concat(chunks).toString('utf8')).split('\n');
+					carry = lines.pop();
+					lines.forEach(function (line) {
+						if (line && (!filter || filter(line))) onLine(line, file);
+					});
+				});
+		};
+
+		let listener = function (current) {
+			if (position === null) return;
+			if (current.size < position) {
+				position = 0;
+				carry = '';
+			}
+			read(current.size);
+		};
+
+		fs.stat(filePath, function (error, stats) {
+			position = error ? 0 : stats.size;
+		});
+		fs.watchFile(filePath, {
+			interval: 1000
+		}, listener);
+		return {
+			path: filePath,
+			listener: listener
+		};
+	});
+
+	return function () {
+		watchers.forEach(watcher => fs.unwatchFile(watcher.path, watcher.listener));
+	};
+}
@@ -7,7 +7,10 @@
 
 // Load required modules
 let fs = require('fs');
+let os = require('os');
+let path = require('path');
 let util = require('util');
+let dgram = require('dgram');
 let dateFormat = require('dateformat');
 let clc = require('cli-color');
 
@@ -25,11 +28,20 @@ let severityMap = {
 // Set severity levels
 let severityLevels = ['info', 'warn', 'error'];
 
+let loggingConfig = config.logging;
+let filesConfig = loggingConfig.files;
+let consoleConfig = loggingConfig.console;
+let syslogConfig = loggingConfig.syslog || {};
+let rotationConfig = filesConfig.rotation || {};
+
+// Per module level overrides, e.g. {"pool": "warn"}
+let moduleLevels = loggingConfig.modules || {};
+
 // Set log directory
-let logDir = config.logging.files.directory;
+let logDir = filesConfig.directory;
 
 // Create log directory if not exists
-if (!fs.existsSync(logDir)) {
+if (filesConfig.enabled !== false && !fs.existsSync(logDir)) {
 	try {
 		fs.mkdirSync(logDir);
 	} catch (e) {
@@ -37,6 +49,102 @@ if (!fs.existsSync(logDir)) {
 	}
 }
 
+/**
+ * Return if an entry of a module is logged by a sink (console, files or syslog)
+ **/
+function isLogged (severity, system, sinkLevel) {
+	let level = moduleLevels[system] || sinkLevel || 'info';
+	return severityLevels.indexOf(severity) >= severityLevels.indexOf(level);
+}
+
+/**
+ * Return the format (text or json) of a sink
+ **/
+function getFormat (sinkConfig) {
+	return sinkConfig.format || loggingConfig.format || 'text';
+}
+
+/**
+ * Return an entry as a JSON line: time, level, module, fork id, message and the fields
+ * passed by the caller (miner login, IP, height, tx hash...)
+ **/
+function formatJson (entry) {
+	let line = {
+		time: entry.date.toISOString(),
+		level: entry.severity,
+		module: entry.system
+	};
+	if (process.env.forkId) line.fork = process.env.forkId;
+	line.message = entry.message;
+	return JSON.stringify(Object.assign(line, entry.fields));
+}
+
+/**
+ * Log files rotation: a file is renamed to <file>.<time> when it exceeds rotation.maxSize bytes or when
+ * it was last written in a previous rotation.interval (hourly or daily). The last rotation.maxFiles
+ * rotated files, not older than rotation.maxAge days, are kept.
+ **/
+function getPeriod (date) {
+	switch (rotationConfig.interval) {
+		case 'hourly':
+			return dateFormat(date, 'yyyymmddHH');
+		case 'daily':
+			return dateFormat(date, 'yyyymmdd');
+	}
+	return null;
+}
+
+function needsRotation (fileName, size) {
+	let stats;
+	try {
+		stats = fs.statSync(fileName);
+	} catch (e) {
+		return false;
+	}
+	if (stats.size === 0) return false;
+	if (rotationConfig.maxSize && stats.size + size > rotationConfig.maxSize) return true;
+	let period = getPeriod(new Date());
+	return period !== null && getPeriod(stats.mtime) !== period;
+}
+
+function rotate (fileName) {
+	let rotatedName = fileName + '.' + dateFormat(new Date(), 'yyyymmdd-HHMMss');
+	// Several processes write to the same files, don't overwrite a file rotated by another one
+	if (fs.existsSync(rotatedName)) rotatedName += '-' + process.pid;
+	try {
+		fs.renameSync(fileName, rotatedName);
+	} catch (e) {
+		// Already rotated by another process
+		return;
+	}
+	removeRotatedFiles(fileName);
+}
+
+function removeRotatedFiles (fileName) {
+	let prefix = path.basename(fileName) + '.';
+	fs.readdir(logDir, function (error, files) {
+		if (error) return;
+		let now = Date.now();
+		files.filter(file => file.indexOf(prefix) === 0)
+			.sort()
+			.reverse()
+			.forEach(function (file, index) {
+				let tooMany = rotationConfig.maxFiles && index >= rotationConfig.maxFiles;
+				let tooOld = false;
+				if (rotationConfig.maxAge) {
+					try {
+						tooOld = now - fs.statSync(logDir + '/' + file).mtime.getTime() > rotationConfig.maxAge * 86400 * 1000;
+					} catch (e) {
+						return;
+					}
+				}
+				if (tooMany || tooOld) {
+					fs.unlink(logDir + '/' + file, function () {});
+				}
+			});
+	});
+}
+
 /**
  * Write log entries to file at specified flush interval
  **/
@@ -45,27 +153,65 @@ let pendingWrites = {};
 setInterval(function () {
 	for (let fileName in pendingWrites) {
 		let data = pendingWrites[fileName];
+		if ((rotationConfig.maxSize || rotationConfig.interval) && needsRotation(fileName, Buffer.byteLength(data, 'utf8'))) {
+			rotate(fileName);
+		}
 		fs.appendFile(fileName, data, function (err) {
 			if (err) {
 				console.log("Error writing log data to disk: %s", err);
-				callback(null, "Error writing data to disk");
 			}
 		});
 		delete pendingWrites[fileName];
 	}
-}, config.logging.files.flushInterval * 1000);
+}, filesConfig.flushInterval * 1000);
 
 /**
- * Add new log entry
+ * Syslog (RFC 5424 over UDP), for container deployments
  **/
-global.log = function (severity, system, text, data) {
+let syslogSocket = null;
+let syslogFacilities = {
+	user: 1,
+	daemon: 3,
+	local0: 16,
+	local1: 17,
+	local2: 18,
+	local3: 19,
+	local4: 20,
+	local5: 21,
+	local6: 22,
+	local7: 23
+};
+let syslogSeverities = {
+	'info': 6,
+	'warn': 4,
+	'error': 3
+};
 
-	let logConsole = severityLevels.indexOf(severity) >= severityLevels.indexOf(config.logging.console.level);
-	let logFiles = severityLevels.indexOf(severity) >= severityLevels.indexOf(config.logging.files.level);
+function sendSyslog (severity, message) {
+	if (!syslogSocket) {
+		syslogSocket = dgram.createSocket('udp4');
+		syslogSocket.unref();
+	}
+	let facility = syslogFacilities[syslogConfig.facility] !== undefined ? syslogFacilities[syslogConfig.facility] : syslogFacilities.local0;
+	let packet = Buffer.from(`<${facility * 8 + syslogSeverities[severity]}>1 ${new Date().toISOString()} ${os.hostname()} ${syslogConfig.appName || config.coin + '-pool'} ${process.pid} - - ${message}`);
+	syslogSocket.send(packet, syslogConfig.port || 514, syslogConfig.host || '127.0.0.1', function (error) {
+		if (error) console.log("Error sending log data to syslog: %s", error);
+	});
+}
 
-	if (!logConsole && !logFiles) return;
+/**
+ * Add new log entry, fields (optional) are added to the JSON output
+ **/
+global.log = function (severity, system, text, data, fields) {
+
+	let logConsole = consoleConfig.enabled !== false && isLogged(severity, system, consoleConfig.level);
+	let logFiles = filesConfig.enabled !== false && isLogged(severity, system, filesConfig.level);
+	let logSyslog = syslogConfig.enabled && isLogged(severity, system, syslogConfig.level);
 
-	let time = dateFormat(new Date(), 'yyyy-mm-dd HH:MM:ss');
+	if (!logConsole && !logFiles && !logSyslog) return;
+
+	let date = new Date();
+	let time = dateFormat(date, 'yyyy-mm-dd HH:MM:ss');
 	let formattedMessage = text;
 
 	if (data) {
@@ -73,21 +219,33 @@ global.log = function (severity, system, text, data) {
 		formattedMessage = util.format.apply(null, data);
 	}
 
+	let entry = {
+		date: date,
+		severity: severity,
+		system: system,
+		message: formattedMessage,
+		fields: fields || {}
+	};
+
 	if (logConsole) {
-		if (config.logging.console.colors)
-			if (system === 'daemon' || system === 'childDaemon') {
-				console.log(severityMap[severity](time) + clc.green.bold(' [' + system + '] ' + formattedMessage));
-			}
-		else {
-			console.log(severityMap[severity](time) + clc.white.bold(' [' + system + '] ') + formattedMessage);
-		} else
+		if (getFormat(consoleConfig) === 'json') {
+			console.log(formatJson(entry));
+		} else if (!consoleConfig.colors) {
 			console.log(time + ' [' + system + '] ' + formattedMessage);
+		} else if (system === 'daemon' || system === 'childDaemon') {
+			console.log(severityMap[severity](time) + clc.green.bold(' [' + system + '] ' + formattedMessage));
+		} else {
+			console.log(severityMap[severity](time) + clc.white.bold(' [' + system + '] ') + formattedMessage);
+		}
 	}
 
-
 	if (logFiles) {
 		let fileName = logDir + '/' + system + '_' + severity + '.log';
-		let fileLine = time + ' ' + formattedMessage + '\n';
+		let fileLine = (getFormat(filesConfig) === 'json' ? formatJson(entry) : time + ' ' + formattedMessage) + '\n';
 		pendingWrites[fileName] = (pendingWrites[fileName] || '') + fileLine;
 	}
+
+	if (logSyslog) {
+		sendSyslog(severity, getFormat(syslogConfig) === 'json' ? formatJson(entry) : '[' + system + '] ' + formattedMessage);
+	}
 };
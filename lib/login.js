@@ -0,0 +1,92 @@
+/**
+ * Cryptonote Node.JS Pool
+ * https://github.com/dvandal/cryptonote-nodejs-pool
+ *
+ * Miner login grammar: [type:]address[.paymentId][.worker][+difficulty]
+ **/
+
+// Separators, the worker separator is always "." and "+" always sets a fixed difficulty. Payment IDs are only
+// parsed with their own separator, a worker name of 16 hex characters would otherwise be taken as a payment ID.
+let workerSeparator = '.';
+let paymentIdSeparator = config.poolServer.paymentId && config.poolServer.paymentId.addressSeparator ? config.poolServer.paymentId.addressSeparator : null;
+let diffSeparators = ['+'];
+if (config.poolServer.fixedDiff && config.poolServer.fixedDiff.addressSeparator && config.poolServer.fixedDiff.addressSeparator !== '+') {
+	// Legacy separator, only numeric suffixes are taken as a difficulty
+	diffSeparators.push(config.poolServer.fixedDiff.addressSeparator);
+}
+
+exports.paymentIdSeparator = paymentIdSeparator;
+exports.diffSeparator = '+';
+
+let rewardTypes = ['prop', 'solo', 'pplns', 'pps'];
+
+/**
+ * Escape a separator for use in a regular expression
+ **/
+function escape (separator) {
+	return separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Address, optional 16 or 64 hex characters payment ID (an empty group without separator), optional worker name
+let loginPattern = new RegExp('^([^' + escape(workerSeparator + (paymentIdSeparator || '')) + ']+)' +
+	(paymentIdSeparator ? '(?:' + escape(paymentIdSeparator) + '([0-9a-fA-F]{64}|[0-9a-fA-F]{16})(?=' + escape(workerSeparator) + '|$))?' : '()') +
+	'(?:' + escape(workerSeparator) + '(.+))?$');
+
+/**
+ * Parse a miner login and password. The returned login is the key miner data is stored under
+ * (address and payment ID), the worker name comes from the login or else from the password.
+ **/
+exports.parse = function (value, pass) {
+	let parsed = {
+		rewardType: 'prop',
+		address: '',
+		paymentId: null,
+		workerName: null,
+		difficulty: null,
+		login: ''
+	};
+	value = String(value || '').trim();
+
+	let prefix = value.indexOf(':');
+	if (prefix !== -1 && rewardTypes.indexOf(value.substr(0, prefix).toLowerCase()) !== -1) {
+		parsed.rewardType = value.substr(0, prefix).toLowerCase();
+		value = value.substr(prefix + 1);
+	}
+
+	for (let i = 0; i < diffSeparators.length; i++) {
+		let diffPos = value.lastIndexOf(diffSeparators[i]);
+		if (diffPos !== -1 && /^\d+$/.test(value.substr(diffPos + diffSeparators[i].length))) {
+			parsed.difficulty = parseInt(value.substr(diffPos + diffSeparators[i].length));
+			value = value.substr(0, diffPos);
+			break;
+		}
+	}
+
+	let match = loginPattern.exec(value);
+	if (match) {
+		parsed.address = match[1];
+		parsed.paymentId = match[2] || null;
+		parsed.workerName = match[3] || null;
+	} else {
+		parsed.address = value;
+	}
+	parsed.login = parsed.paymentId ? parsed.address + paymentIdSeparator + parsed.paymentId : parsed.address;
+
+	if (!parsed.workerName && pass) {
+		// Legacy "x@worker" passwords
+		pass = String(pass);
+		parsed.workerName = pass.substr(pass.lastIndexOf('@') + 1).trim() || null;
+	}
+	return parsed;
+}
+
+/**
+ * Split a stored miner login into its wallet address and payment ID
+ **/
+exports.parseStored = function (login) {
+	let match = loginPattern.exec(String(login || ''));
+	return {
+		address: match ? match[1] : login,
+		paymentId: match && match[2] ? match[2] : null
+	};
+}
@@ -0,0 +1,178 @@
+/**
+ * Cryptonote Node.JS Pool
+ * https://github.com/dvandal/cryptonote-nodejs-pool
+ *
+ * Prometheus metrics (counters, gauges and histograms in the text exposition format)
+ **/
+
+let metricsConfig = config.metrics || {};
+
+// Metrics of this process by name
+let registry = {};
+// Called before a snapshot, to set gauges computed from the process state
+let collectors = [];
+
+let defaultBuckets = [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5];
+
+/**
+ * Return if metrics are enabled
+ **/
+exports.enabled = function () {
+	return !!metricsConfig.enabled;
+}
+
+/**
+ * Return a metric of the registry, created on first use
+ **/
+function getMetric (type, name, help, buckets) {
+	if (!registry[name]) {
+		registry[name] = {
+			name: name,
+			type: type,
+			help: help,
+			buckets: buckets,
+			values: {}
+		};
+	}
+	return registry[name];
+}
+
+/**
+ * Return the value of a metric for a set of labels, created on first use
+ **/
+function getValue (metric, labels) {
+	let key = JSON.stringify(labels || {});
+	if (!metric.values[key]) {
+		metric.values[key] = {
+			labels: labels || {},
+			value: 0
+		};
+		if (metric.type === 'histogram') {
+			metric.values[key].counts = metric.buckets.map(() => 0);
+			metric.values[key].sum = 0;
+		}
+	}
+	return metric.values[key];
+}
+
+/**
+ * Counter, only goes up
+ **/
+exports.counter = function (name, help) {
+	let metric = getMetric('counter', name, help);
+	return {
+		inc: function (labels, value) {
+			getValue(metric, labels).value += value === undefined ? 1 : value;
+		}
+	};
+}
+
+/**
+ * Gauge, set to the current value
+ **/
+exports.gauge = function (name, help) {
+	let metric = getMetric('gauge', name, help);
+	return {
+		set: function (labels, value) {
+			getValue(metric, labels).value = value;
+		},
+		// Drop every label set, for gauges rebuilt by a collector
+		reset: function () {
+			metric.values = {};
+		}
+	};
+}
+
+/**
+ * Histogram, counts observations (in seconds) per bucket
+ **/
+exports.histogram = function (name, help, buckets) {
+	let metric = getMetric('histogram', name, help, buckets || defaultBuckets);
+	return {
+		observe: function (labels, value) {
+			let data = getValue(metric, labels);
+			for (let i = 0; i < metric.buckets.length; i++) {
+				if (value <= metric.buckets[i]) data.counts[i]++;
+			}
+			data.value++;
+			data.sum += value;
+		}
+	};
+}
+
+/**
+ * Register a function called before every snapshot
+ **/
+exports.onCollect = function (collector) {
+	collectors.push(collector);
+}
+
+/**
+ * Return the metrics of this process, they can be sent to another process over IPC
+ **/
+exports.snapshot = function () {
+	collectors.forEach(collector => collector());
+	return Object.keys(registry).map(name => registry[name]);
+}
+
+/**
+ * Escape a label value
+ **/
+function escapeLabel (value) {
+	return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a set of labels, with an optional extra label (histogram le)
+ **/
+function formatLabels (labels, extraName, extraValue) {
+	let pairs = Object.keys(labels).map(name => `${name}="${escapeLabel(labels[name])}"`);
+	if (extraName) pairs.push(`${extraName}="${extraValue}"`);
+	return pairs.length > 0 ? '{' + pairs.join(',') + '}' : '';
+}
+
+/**
+ * Render snapshots in the Prometheus text format. Each source is {labels, metrics}: its labels
+ * (the pool fork id for instance) are added to all of its values and metrics of the same name are merged.
+ **/
+exports.format = function (sources) {
+	let merged = {};
+	let order = [];
+	sources.forEach(function (source) {
+		(source.metrics || []).forEach(function (metric) {
+			if (!merged[metric.name]) {
+				merged[metric.name] = {
+					metric: metric,
+					values: []
+				};
+				order.push(metric.name);
+			}
+			Object.keys(metric.values).forEach(function (key) {
+				let value = metric.values[key];
+				merged[metric.name].values.push(Object.assign({}, value, {
+					labels: Object.assign({}, source.labels, value.labels)
+				}));
+			});
+		});
+	});
+
+	let lines = [];
+	order.forEach(function (name) {
+		let metric = merged[name].metric;
+		lines.push(`# HELP ${name} ${metric.help}`);
+		lines.push(`# TYPE ${name} ${metric.type}`);
+		merged[name].values.forEach(function (value) {
+			if (metric.type !== 'histogram') {
+				lines.push(name + formatLabels(value.labels) + ' ' + value.value);
+				return;
+			}
+			metric.buckets.forEach(function (bucket, i) {
+				lines.push(name + '_bucket' + formatLabels(value.labels, 'le', bucket) + ' ' + value.counts[i]);
+			});
+			lines.push(name + '_bucket' + formatLabels(value.labels, 'le', '+Inf') + ' ' + value.value);
+			lines.push(name + '_sum' + formatLabels(value.labels) + ' ' + value.sum);
+			lines.push(name + '_count' + formatLabels(value.labels) + ' ' + value.value);
+		});
+	});
+	return lines.join('\n') + '\n';
+}
@@ -0,0 +1,282 @@
+/**
+ * Cryptonote Node.JS Pool
+ * https://github.com/dvandal/cryptonote-nodejs-pool
+ *
+ * Miner and operator notifications (templated messages sent by email and Telegram)
+ **/
+
+// Load required modules
+let crypto = require('crypto');
+let async = require('async');
+
+let email = require('./email.js');
+let telegram = require('./telegram.js');
+
+// Initialize log system
+let logSystem = 'notifications';
+
+let notificationsConfig = config.notifications || {};
+let telegramConfig = config.telegram || {};
+
+// Events sent to the chats subscribed with the bot and announced in the Telegram channel
+let telegramSubscriberEvents = telegramConfig.subscriberEvents || ['workerTimeout', 'paymentSent', 'blockFound'];
+let telegramChannelEvents = telegramConfig.channelEvents || ['blockFound', 'blockUnlocked'];
+
+// Subscriptions are hashes (email, verified, events) keyed by miner address. A new subscription waits under
+// pending:<address> (email, token, events, created) until verified, replacing the current one only then.
+let subscriptionsKey = `${config.coin}:notifications`;
+
+// Seconds a verification link stays valid
+let verifyTokenLifetime = notificationsConfig.verifyTokenLifetime || 86400;
+
+/**
+ * Events sent to the subscribed miner, and pool events sent to operators and to subscriptions that opted in
+ **/
+let minerEvents = ['workerConnected', 'workerTimeout', 'workerBanned', 'paymentSent'];
+let poolEvents = ['blockFound', 'blockUnlocked', 'blockOrphaned'];
+exports.events = minerEvents.concat(poolEvents);
+
+/**
+ * Default message templates, %VARIABLE% placeholders are replaced when sending.
+ * notifications.templates in the configuration overrides the subject and/or message per event.
+ **/
+let templates = {
+	workerConnected: {
+		subject: 'Worker %WORKER_NAME% connected',
+		message: 'Your worker %WORKER_NAME% for address %MINER% connected from IP %IP% on port %PORT%.'
+	},
+	workerTimeout: {
+		subject: 'Worker %WORKER_NAME% stopped mining',
+		message: 'Your worker %WORKER_NAME% for address %MINER% has not submitted shares since %LAST_HASH%.'
+	},
+	workerBanned: {
+		subject: 'Worker %WORKER_NAME% banned',
+		message: 'Your worker %WORKER_NAME% for address %MINER% connected from IP %IP% was banned for submitting invalid shares.'
+	},
+	blockFound: {
+		subject: 'Block found at height %HEIGHT%',
+		message: 'The pool found block %HEIGHT% (%HASH%) with difficulty %DIFFICULTY% after %SHARES% shares, found by %MINER%.'
+	},
+	blockUnlocked: {
+		subject: 'Block %HEIGHT% unlocked',
+		message: 'Block %HEIGHT% (%HASH%) found on %BLOCKTIME% has unlocked with a reward of %REWARD% and an effort of %EFFORT%.'
+	},
+	blockOrphaned: {
+		subject: 'Block %HEIGHT% orphaned',
+		message: 'Block %HEIGHT% (%HASH%) found on %BLOCKTIME% was orphaned, effort %EFFORT%.'
+	},
+	paymentSent: {
+		subject: 'Payment sent',
+		message: 'A payment of %AMOUNT% has been sent to %ADDRESS% in transaction %TX_HASH%.'
+	},
+	emailVerification: {
+		subject: 'Confirm your %COIN% pool notifications',
+		message: 'Open %VERIFY_URL% within %VERIFY_HOURS% hours to receive %COIN% pool notifications for %MINER% at this email address.'
+	}
+};
+
+/**
+ * Render the subject and message of an event
+ **/
+function render (id, variables) {
+	let template = Object.assign({}, templates[id], (notificationsConfig.templates || {})[id]);
+	let values = Object.assign({
+		COIN: config.coin,
+		SYMBOL: config.symbol,
+		POOL_HOST: config.poolHost
+	}, variables);
+	let replace = function (text) {
+		return String(text || '').replace(/%([A-Z_]+)%/g, function (match, name) {
+			return values[name] !== undefined ? values[name] : match;
+		});
+	};
+	return {
+		subject: replace(template.subject),
+		message: replace(template.message)
+	};
+}
+exports.render = render;
+
+/**
+ * Return the events of a subscription
+ **/
+function getEvents (subscription) {
+	return subscription.events ? subscription.events.split(',') : minerEvents;
+}
+
+/**
+ * Return the Telegram text of a rendered event
+ **/
+function getTelegramMessage (content) {
+	return content.subject + '\n\n' + content.message;
+}
+
+/**
+ * Send an event to the verified email subscription and to the Telegram chats of a miner address
+ **/
+exports.sendToMiner = function (address, id, variables) {
+	let content = render(id, variables);
+
+	if (telegram.enabled() && telegramSubscriberEvents.indexOf(id) !== -1) {
+		telegram.getAddressChats(address, function (error, chats) {
+			chats.forEach(function (chatId) {
+				telegram.sendMessage(chatId, getTelegramMessage(content));
+			});
+		});
+	}
+
+	if (!email.enabled()) return;
+	redisClient.hgetall(`${subscriptionsKey}:${address}`, function (error, subscription) {
+		if (error || !subscription || subscription.verified !== '1') return;
+		if (getEvents(subscription).indexOf(id) === -1) return;
+
+		email.sendEmail(subscription.email, content.subject, content.message);
+	});
+}
+
+/**
+ * Send a pool event to the Telegram channel and chats, to the operators and to the verified email subscriptions that opted in
+ **/
+exports.sendToAll = function (id, variables) {
+	let content = render(id, variables);
+
+	if (telegram.enabled()) {
+		if (telegramConfig.channel && telegramChannelEvents.indexOf(id) !== -1) {
+			telegram.sendMessage(telegramConfig.channel, getTelegramMessage(content));
+		}
+		if (telegramSubscriberEvents.indexOf(id) !== -1) {
+			telegram.getChats(function (error, chats) {
+				chats.forEach(function (chatId) {
+					telegram.sendMessage(chatId, getTelegramMessage(content));
+				});
+			});
+		}
+	}
+
+	if (!email.enabled()) return;
+	let recipients = (notificationsConfig.operatorEmails || []).slice();
+
+	redisClient.smembers(`${subscriptionsKey}:addresses`, function (error, addresses) {
+		if (error) {
+			log('error', logSystem, 'Unable to list notification subscriptions: %j', [error]);
+			addresses = [];
+		}
+		async.eachSeries(addresses, function (address, next) {
+			redisClient.hgetall(`${subscriptionsKey}:${address}`, function (error, subscription) {
+				if (!error && subscription && subscription.verified === '1' && getEvents(subscription).indexOf(id) !== -1 && recipients.indexOf(subscription.email) === -1) {
+					recipients.push(subscription.email);
+				}
+				next();
+			});
+		}, function () {
+			recipients.forEach(function (recipient) {
+				email.sendEmail(recipient, content.subject, content.message);
+			});
+		});
+	});
+}
+
+/**
+ * Return if an email address looks valid
+ **/
+exports.isValidEmail = function (emailAddress) {
+	return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(emailAddress || ''));
+}
+
+/**
+ * Return the subscription of a miner address, or the subscription waiting for verification when there is none.
+ * pendingEmail is the email address of a subscription waiting for verification.
+ **/
+exports.getSubscription = function (address, callback) {
+	redisClient.multi([
+		['hgetall', `${subscriptionsKey}:${address}`],
+		['hgetall', `${subscriptionsKey}:pending:${address}`]
+	]).exec(function (error, replies) {
+		if (error) {
+			callback(error);
+			return;
+		}
+		let subscription = replies[0] && replies[0].verified === '1' ? replies[0] : null;
+		let pending = replies[1];
+		if (!subscription && !pending) {
+			callback(null, null);
+			return;
+		}
+		callback(null, {
+			email: (subscription || pending).email,
+			verified: !!subscription,
+			events: getEvents(subscription || pending),
+			pendingEmail: pending ? pending.email : null
+		});
+	});
+}
+
+/**
+ * Subscribe an email address to the notifications of a miner address. The new subscription waits
+ * (nothing is sent to it) until the link of the verification email is opened, the current one is kept until then.
+ **/
+exports.subscribe = function (address, emailAddress, events, callback) {
+	events = (events || minerEvents).filter(function (event) {
+		return exports.events.indexOf(event) !== -1;
+	});
+	let token = crypto.randomBytes(16).toString('hex');
+	let key = `${subscriptionsKey}:pending:${address}`;
+
+	redisClient.multi([
+		['del', key],
+		['hmset', key, 'email', emailAddress, 'token', token, 'events', events.join(','), 'created', Date.now() / 1000 | 0],
+		['expire', key, verifyTokenLifetime]
+	]).exec(function (error) {
+		if (error) {
+			callback(error);
+			return;
+		}
+		let verifyUrl = `${notificationsConfig.verifyUrl}?address=${encodeURIComponent(address)}&token=${token}`;
+		let content = render('emailVerification', {
+			MINER: address,
+			VERIFY_URL: verifyUrl,
+			VERIFY_HOURS: Math.round(verifyTokenLifetime / 3600)
+		});
+		email.sendEmail(emailAddress, content.subject, content.message, callback);
+	});
+}
+
+/**
+ * Verify a subscription with the token of its verification email, it then replaces the current subscription.
+ * Callback receives whether the token matched and was not expired.
+ **/
+exports.verify = function (address, token, callback) {
+	let key = `${subscriptionsKey}:${address}`;
+	let pendingKey = `${subscriptionsKey}:pending:${address}`;
+	redisClient.hgetall(pendingKey, function (error, pending) {
+		if (error || !pending || !token || pending.token !== token) {
+			callback(error, false);
+			return;
+		}
+		if ((Date.now() / 1000 | 0) - parseInt(pending.created) > verifyTokenLifetime) {
+			callback(null, false);
+			return;
+		}
+		redisClient.multi([
+			['del', key],
+			['hmset', key, 'email', pending.email, 'verified', 1, 'events', pending.events, 'created', pending.created],
+			['sadd', `${subscriptionsKey}:addresses`, address],
+			['del', pendingKey]
+		]).exec(function (error) {
+			callback(error, !error);
+		});
+	});
+}
+
+/**
+ * Remove the subscription of a miner address
+ **/
+exports.unsubscribe = function (address, callback) {
+	redisClient.multi([
+		['del', `${subscriptionsKey}:${address}`],
+		['del', `${subscriptionsKey}:pending:${address}`],
+		['srem', `${subscriptionsKey}:addresses`, address]
+	]).exec(function (error) {
+		callback(error);
+	});
+}
@@ -0,0 +1,240 @@
+/**
+ * Cryptonote Node.JS Pool
+ * https://github.com/dvandal/cryptonote-nodejs-pool
+ *
+ * Payments journal shared by the payments processor and the API
+ **/
+
+/**
+ * Pending payments journal: each batch is stored before it is sent, marked with its
+ * transaction hash once sent and removed in the same transaction as the balances update
+ **/
+let pendingPaymentsKey = `${config.coin}:payments:pending`;
+
+/**
+ * Sent transactions are tracked until they reach the confirmation depth,
+ * payments:status holds pending/confirmed/failed for each transaction hash
+ **/
+let unconfirmedPaymentsKey = `${config.coin}:payments:unconfirmed`;
+let paymentsStatusKey = `${config.coin}:payments:status`;
+
+/**
+ * Sent transactions the pool could not prove dropped (wallet not synchronized, lookup error),
+ * nothing is credited back for them until an operator resolves them
+ **/
+let reviewPaymentsKey = `${config.coin}:payments:review`;
+
+/**
+ * Manual payments mode: proposed batches waiting for an administrator
+ **/
+let proposalsKey = `${config.coin}:payments:proposals`;
+
+/**
+ * Finished proposals (sent, rejected or failed) are moved to a list capped to payments.proposalArchiveSize
+ **/
+let proposalsArchiveKey = `${config.coin}:payments:proposals:archive`;
+
+exports.pendingPaymentsKey = pendingPaymentsKey;
+exports.unconfirmedPaymentsKey = unconfirmedPaymentsKey;
+exports.paymentsStatusKey = paymentsStatusKey;
+exports.reviewPaymentsKey = reviewPaymentsKey;
+exports.proposalsKey = proposalsKey;
+exports.proposalsArchiveKey = proposalsArchiveKey;
+
+/**
+ * Return the redis commands recording a sent payment batch and updating the balances
+ **/
+exports.getPaymentCommands = function (entry, txHash, fee, now) {
+	let batch = entry.batch;
+	let redisCommands = [];
+
+	// Record payment
+	redisCommands.push(['zadd', config.coin + ':payments:all', now, [
+		txHash,
+		batch.reduce((sum, p) => sum + p.amount, 0),
+		fee,
+		0,
+		batch.length,
+		batch[0].address  // Include first recipient address for display
+	].join(':')]);
+
+	// Update worker balances
+	for (let i = 0; i < batch.length; i++) {
+		let payment = batch[i];
+		let amount = payment.amount;
+
+		redisCommands.push(['hincrby', config.coin + ':workers:' + payment.worker, 'balance', -amount]);
+		redisCommands.push(['hincrby', config.coin + ':workers:' + payment.worker, 'paid', amount]);
+		redisCommands.push(['zadd', config.coin + ':payments:' + payment.address, now, [
+			txHash,
+			amount,
+			fee,
+			0
+		].join(':')]);
+	}
+
+	// Track the transaction until it is confirmed
+	redisCommands.push(['hset', paymentsStatusKey, txHash, 'pending']);
+	redisCommands.push(['hset', unconfirmedPaymentsKey, txHash, JSON.stringify({
+		txHash: txHash,
+		time: now,
+		height: entry.height,
+		batch: batch
+	})]);
+
+	// Manual payments mode: the proposal is marked sent together with the balances
+	if (entry.proposal) {
+		redisCommands.push(['hset', proposalsKey, entry.proposal.id, JSON.stringify(Object.assign({}, entry.proposal, {
+			status: 'sent',
+			txHash: txHash,
+			sentAt: now
+		}))]);
+	}
+
+	redisCommands.push(['hdel', pendingPaymentsKey, entry.id]);
+	return redisCommands;
+}
+
+/**
+ * Return the redis commands marking a sent transaction confirmed
+ **/
+exports.getConfirmedCommands = function (txHash) {
+	return [
+		['hset', paymentsStatusKey, txHash, 'confirmed'],
+		['hdel', unconfirmedPaymentsKey, txHash],
+		['hdel', reviewPaymentsKey, txHash]
+	];
+}
+
+/**
+ * Return the redis commands marking a sent transaction failed and crediting its amounts back to the balances
+ **/
+exports.getCreditBackCommands = function (record) {
+	let redisCommands = [
+		['hset', paymentsStatusKey, record.txHash, 'failed'],
+		['hdel', unconfirmedPaymentsKey, record.txHash],
+		['hdel', reviewPaymentsKey, record.txHash]
+	];
+	record.batch.forEach(function (payment) {
+		redisCommands.push(['hincrby', config.coin + ':workers:' + payment.worker, 'balance', payment.amount]);
+		redisCommands.push(['hincrby', config.coin + ':workers:' + payment.worker, 'paid', -payment.amount]);
+	});
+	return redisCommands;
+}
+
+/**
+ * List the payments waiting for an operator review: journal batches the wallet history
+ * does not show (batches) and sent transactions that could not be proved dropped (transactions)
+ **/
+exports.listReview = function (callback) {
+	redisClient.multi([
+		['hvals', pendingPaymentsKey],
+		['hvals', reviewPaymentsKey]
+	]).exec(function (error, replies) {
+		if (error) {
+			callback(error);
+			return;
+		}
+		let parse = function (values) {
+			let items = [];
+			(values || []).forEach(function (value) {
+				try {
+					items.push(JSON.parse(value));
+				} catch (e) {
+					// Invalid entries are reported by the payments processor
+				}
+			});
+			return items;
+		};
+		callback(null, {
+			batches: parse(replies[0]).filter(entry => entry.review),
+			transactions: parse(replies[1])
+		});
+	});
+}
+
+/**
+ * Resolve a payment under review, identified by its journal entry id (batch) or its transaction hash.
+ * A batch is committed with the transaction hash that paid it (options.txHash, options.fee) or
+ * discarded, its balances were never debited. A sent transaction is committed as confirmed or
+ * discarded, its amounts are then credited back to the balances. The callback receives an
+ * error message or the resolved item.
+ **/
+exports.resolveReview = function (id, options, callback) {
+	if (['commit', 'discard'].indexOf(options.resolution) === -1) {
+		callback('Unknown resolution');
+		return;
+	}
+
+	// The payments processor may resolve the same item meanwhile, the transaction is dropped if it does
+	redisClient.watch(pendingPaymentsKey, unconfirmedPaymentsKey, reviewPaymentsKey, function (error) {
+		if (error) {
+			callback('Error reading payments');
+			return;
+		}
+		let abort = function (message) {
+			redisClient.unwatch(function () {
+				callback(message);
+			});
+		};
+		let exec = function (redisCommands, item) {
+			redisClient.multi(redisCommands).exec(function (error, replies) {
+				if (error) {
+					callback('Error updating payments');
+					return;
+				}
+				if (!replies) {
+					callback('Payments changed meanwhile, try again');
+					return;
+				}
+				callback(null, item);
+			});
+		};
+
+		redisClient.hget(pendingPaymentsKey, id, function (error, entryValue) {
+			if (error) {
+				abort('Error reading payments');
+				return;
+			}
+			if (entryValue) {
+				let entry = JSON.parse(entryValue);
+				if (!entry.review) {
+					abort('Batch is not under review');
+					return;
+				}
+				if (options.resolution === 'discard') {
+					let redisCommands = [['hdel', pendingPaymentsKey, entry.id]];
+					if (entry.proposal) {
+						redisCommands.push(['hset', proposalsKey, entry.proposal.id, JSON.stringify(Object.assign({}, entry.proposal, {
+							status: 'failed',
+							error: 'Batch discarded by ' + options.by
+						}))]);
+					}
+					exec(redisCommands, entry);
+					return;
+				}
+				if (!options.txHash) {
+					abort('Parameters are incomplete');
+					return;
+				}
+				redisClient.hexists(paymentsStatusKey, options.txHash, function (error, exists) {
+					if (error || exists) {
+						abort(error ? 'Error reading payments' : 'Transaction is already recorded');
+						return;
+					}
+					exec(exports.getPaymentCommands(entry, options.txHash, parseInt(options.fee) || 0, Date.now() / 1000 | 0), entry);
+				});
+				return;
+			}
+
+			redisClient.hget(reviewPaymentsKey, id, function (error, recordValue) {
+				if (error || !recordValue) {
+					abort(error ? 'Error reading payments' : 'Payment not found');
+					return;
+				}
+				let record = JSON.parse(recordValue);
+				exec(options.resolution === 'commit' ? exports.getConfirmedCommands(record.txHash) : exports.getCreditBackCommands(record), record);
+			});
+		});
+	});
+}
@@ -11,6 +11,10 @@ let async = require('async');
 
 let walletApi = require('./walletApi.js');
 let utils = require('./utils.js');
+let loginParser = require('./login.js');
+let notifications = require('./notifications.js');
+let webhooks = require('./webhooks.js');
+let paymentJournal = require('./paymentJournal.js');
 
 // Initialize log system
 let logSystem = 'payments';
@@ -45,18 +49,556 @@ function loadBlockedAddresses() {
  * Check if an address is blocked
  **/
 function isAddressBlocked(address) {
-	// Handle fixed difficulty separator
-	let checkAddress = address;
-	if (config.poolServer.fixedDiff && config.poolServer.fixedDiff.enabled) {
-		let addr = address.split(config.poolServer.fixedDiff.addressSeparator);
-		if (addr.length >= 2) checkAddress = addr[0];
-	}
-	return blockedAddresses.includes(checkAddress);
+	return blockedAddresses.includes(loginParser.parseStored(address).address);
 }
 
 // Load blocked addresses on startup
 loadBlockedAddresses();
 
+// Payments journal keys, shared with the API
+let pendingPaymentsKey = paymentJournal.pendingPaymentsKey;
+let unconfirmedPaymentsKey = paymentJournal.unconfirmedPaymentsKey;
+let reviewPaymentsKey = paymentJournal.reviewPaymentsKey;
+let proposalsKey = paymentJournal.proposalsKey;
+let proposalsArchiveKey = paymentJournal.proposalsArchiveKey;
+
+/**
+ * Return the height the wallet history lookups for journal entries or sent transactions start from:
+ * a few blocks before the oldest one was sent, from the start for those recorded without their height
+ **/
+function getHistoryStartHeight (items) {
+	return Math.max(0, Math.min.apply(null, items.map(item => item.height || 0)) - 10);
+}
+
+/**
+ * Check sent transactions against the wallet: mark them confirmed once they reach
+ * payments.confirmations blocks. A transaction missing from the wallet history after
+ * payments.dropTimeout seconds is looked up by hash: it is failed, and its amounts
+ * credited back to the balances, only when a synchronized wallet does not know it.
+ * Otherwise it is kept in payments:review for the operator.
+ **/
+function checkPaymentConfirmations (callback) {
+	redisClient.hgetall(unconfirmedPaymentsKey, function (error, data) {
+		if (error) {
+			log('error', logSystem, 'Error reading unconfirmed payments %j', [error]);
+			callback(null);
+			return;
+		}
+		let records = [];
+		Object.keys(data || {}).forEach(function (txHash) {
+			try {
+				records.push(JSON.parse(data[txHash]));
+			} catch (e) {
+				log('error', logSystem, 'Invalid unconfirmed payment record for TX %s: %s', [txHash, data[txHash]]);
+			}
+		});
+		if (records.length === 0) {
+			callback(null);
+			return;
+		}
+
+		let depth = config.payments.confirmations || 10;
+		let dropTimeout = config.payments.dropTimeout || 3600;
+
+		walletApi.getStatus()
+			.then((status) => Promise.all([
+				status,
+				walletApi.getTransactions(getHistoryStartHeight(records), status.networkBlockCount),
+				walletApi.getUnconfirmedTransactions()
+			]))
+			.then((results) => {
+				let height = results[0].networkBlockCount;
+				let synced = results[0].walletBlockCount >= results[0].networkBlockCount;
+				let confirmed = {};
+				let unconfirmed = {};
+				results[1].forEach(tx => confirmed[tx.hash] = tx);
+				results[2].forEach(tx => unconfirmed[tx.hash] = tx);
+
+				let now = Date.now() / 1000 | 0;
+				let redisCommands = [];
+
+				let checkConfirmed = function (record, tx) {
+					if (height - tx.blockHeight < depth) return;
+					log('info', logSystem, 'Payment TX %s confirmed at height %d', [record.txHash, tx.blockHeight]);
+					redisCommands.push.apply(redisCommands, paymentJournal.getConfirmedCommands(record.txHash));
+				};
+
+				let markForReview = function (record, reason) {
+					log('warn', logSystem, 'Payment TX %s needs an operator review: %s', [record.txHash, reason]);
+					redisCommands.push(['hsetnx', reviewPaymentsKey, record.txHash, JSON.stringify({
+						txHash: record.txHash,
+						time: now,
+						reason: reason,
+						batch: record.batch
+					})]);
+				};
+
+				async.eachSeries(records, function (record, next) {
+					let tx = confirmed[record.txHash];
+					if (tx) {
+						checkConfirmed(record, tx);
+						next();
+						return;
+					}
+					if (unconfirmed[record.txHash] || now - record.time < dropTimeout) {
+						next();
+						return;
+					}
+					if (!synced) {
+						markForReview(record, 'missing from the wallet history while the wallet is not synchronized');
+						next();
+						return;
+					}
+
+					walletApi.getTransaction(record.txHash)
+						.then((transaction) => {
+							if (transaction) {
+								if (transaction.blockHeight) checkConfirmed(record, transaction);
+								next();
+								return;
+							}
+
+							// Dropped: a synchronized wallet does not know it, give the amounts back
+							log('warn', logSystem, 'Payment TX %s was dropped, crediting %d payments back to the balances', [record.txHash, record.batch.length]);
+							redisCommands.push.apply(redisCommands, paymentJournal.getCreditBackCommands(record));
+							next();
+						})
+						.catch((walletError) => {
+							markForReview(record, 'transaction lookup failed: ' + walletError.message);
+							next();
+						});
+				}, function () {
+					if (redisCommands.length === 0) {
+						callback(null);
+						return;
+					}
+					redisClient.multi(redisCommands).exec(function (error) {
+						if (error) {
+							log('error', logSystem, 'Error updating payments status %j', [error]);
+						}
+						callback(null);
+					});
+				});
+			})
+			.catch((walletError) => {
+				log('error', logSystem, 'Could not check payments confirmations: %s', [walletError.message]);
+				callback(null);
+			});
+	});
+}
+
+/**
+ * Commit a sent payment batch: balances update and journal removal in one transaction
+ **/
+function commitPayment (entry, txHash, fee, callback) {
+	redisClient.multi(paymentJournal.getPaymentCommands(entry, txHash, fee, Date.now() / 1000 | 0))
+		.exec(function (error) {
+			if (error) {
+				log('error', logSystem, 'Critical error updating Redis, batch %s (TX %s) stays in the pending payments journal: %j', [entry.id, txHash, error]);
+			}
+			callback(error);
+		});
+}
+
+/**
+ * Return the destinations of a journal entry, entries journaled before they were recorded only have the batch
+ **/
+function getEntryDestinations (entry) {
+	return entry.destinations || entry.batch.map(p => ({
+		address: p.address,
+		amount: p.amount
+	}));
+}
+
+/**
+ * Check that a wallet transaction pays every destination of a journal entry (same address and amount)
+ **/
+function paysDestinations (transaction, destinations) {
+	let transfers = {};
+	(transaction.transfers || []).forEach(function (transfer) {
+		let key = transfer.address + ':' + Math.abs(transfer.amount);
+		transfers[key] = (transfers[key] || 0) + 1;
+	});
+	return destinations.every(function (destination) {
+		let key = destination.address + ':' + destination.amount;
+		if (!transfers[key]) return false;
+		transfers[key]--;
+		return true;
+	});
+}
+
+/**
+ * Resolve the payment batches left in the journal by a crash or a Redis error.
+ * Batches with a transaction hash are committed. Batches without one are looked up
+ * in the wallet history by their destinations and committed when found. The others
+ * are marked for review and stay in the journal, no payout goes out until an operator
+ * resolves them.
+ **/
+function reconcilePendingPayments (callback) {
+	redisClient.hgetall(pendingPaymentsKey, function (error, data) {
+		if (error) {
+			log('error', logSystem, 'Error reading the pending payments journal %j', [error]);
+			callback(true);
+			return;
+		}
+
+		let entries = [];
+		let invalid = 0;
+		Object.keys(data || {}).forEach(function (id) {
+			try {
+				entries.push(JSON.parse(data[id]));
+			} catch (e) {
+				log('error', logSystem, 'Invalid pending payments journal entry %s: %s', [id, data[id]]);
+				invalid++;
+			}
+		});
+		if (entries.length === 0) {
+			callback(invalid > 0 ? true : null);
+			return;
+		}
+		log('warn', logSystem, 'Reconciling %d unresolved payment batches', [entries.length]);
+
+		let sent = entries.filter(e => e.txHash);
+		let unknown = entries.filter(e => !e.txHash);
+		let unresolved = invalid;
+
+		async.waterfall([
+			function (next) {
+				async.eachSeries(sent, function (entry, entryCallback) {
+					log('warn', logSystem, 'Batch %s was sent (TX %s) but not committed, committing it', [entry.id, entry.txHash]);
+					commitPayment(entry, entry.txHash, entry.fee, entryCallback);
+				}, next);
+			},
+			function (next) {
+				if (unknown.length === 0) {
+					next(null);
+					return;
+				}
+				walletApi.getStatus()
+					.then((status) => Promise.all([
+						walletApi.getTransactions(getHistoryStartHeight(unknown), status.networkBlockCount),
+						walletApi.getUnconfirmedTransactions()
+					]))
+					.then((results) => {
+						let transactions = results[0].concat(results[1]);
+						let usedHashes = {};
+						async.eachSeries(unknown, function (entry, entryCallback) {
+							let destinations = getEntryDestinations(entry);
+							let match = transactions.filter(function (tx) {
+								return !tx.isCoinbaseTransaction && !usedHashes[tx.hash] &&
+									(!tx.timestamp || tx.timestamp >= entry.created - 60) &&
+									paysDestinations(tx, destinations);
+							})[0];
+
+							if (!match) {
+								unresolved++;
+								if (entry.review) {
+									entryCallback();
+									return;
+								}
+								log('warn', logSystem, 'Batch %s is not in the wallet history, it stays in the pending payments journal for review', [entry.id]);
+								entry.review = true;
+								redisClient.hset(pendingPaymentsKey, entry.id, JSON.stringify(entry), function () {
+									entryCallback();
+								});
+								return;
+							}
+							usedHashes[match.hash] = true;
+							log('warn', logSystem, 'Batch %s was sent as TX %s but not committed, committing it', [entry.id, match.hash]);
+							commitPayment(entry, match.hash, match.fee || 0, entryCallback);
+						}, next);
+					})
+					.catch((walletError) => {
+						log('error', logSystem, 'Could not get wallet transactions to reconcile pending payments: %s', [walletError.message]);
+						next(true);
+					});
+			},
+			function (next) {
+				reconcileSendingProposals(next);
+			}
+		], function (reconcileError) {
+			if (!reconcileError && unresolved > 0) {
+				log('warn', logSystem, '%d payment batches need an operator review in %s', [unresolved, pendingPaymentsKey]);
+			}
+			callback(reconcileError || unresolved > 0 ? true : null);
+		});
+	});
+}
+
+/**
+ * Resolve the proposals left in the sending state. A sending proposal is marked sent with the
+ * balances, so one whose batch is no longer in the journal was discarded by an operator: it failed.
+ **/
+function reconcileSendingProposals (callback) {
+	async.parallel([
+		cb => redisClient.hvals(proposalsKey, cb),
+		cb => redisClient.hkeys(pendingPaymentsKey, cb)
+	], function (error, results) {
+		if (error) {
+			log('error', logSystem, 'Error reading payment proposals %j', [error]);
+			callback(true);
+			return;
+		}
+		let redisCommands = [];
+		(results[0] || []).forEach(function (value) {
+			let proposal = JSON.parse(value);
+			if (proposal.status !== 'sending' || results[1].indexOf(proposal.journalId) !== -1) return;
+			log('warn', logSystem, 'Payment proposal %s: batch %s was not sent, marking it failed', [proposal.id, proposal.journalId]);
+			proposal.status = 'failed';
+			proposal.error = 'Batch was not sent';
+			redisCommands.push(['hset', proposalsKey, proposal.id, JSON.stringify(proposal)]);
+		});
+		if (redisCommands.length === 0) {
+			callback(null);
+			return;
+		}
+		redisClient.multi(redisCommands).exec(function (error) {
+			callback(error ? true : null);
+		});
+	});
+}
+
+/**
+ * Connection errors raised before the request reached the Wallet API
+ **/
+let notSentErrorCodes = ['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH'];
+
+/**
+ * Send a payment batch: journal it, send it with the Wallet API and commit the balances.
+ * An approved proposal is stored as sending, with the journal entry id, in the same transaction as the journal entry.
+ **/
+function sendPaymentBatch (batch, batchIndex, proposal, callback) {
+	let destinations = batch.map(p => ({
+		address: p.address,
+		amount: p.amount
+	}));
+	let entry = {
+		id: Date.now() + '-' + batchIndex,
+		created: Date.now() / 1000 | 0,
+		total: batch.reduce((sum, p) => sum + p.amount, 0),
+		destinations: destinations,
+		batch: batch
+	};
+	let journalAndSend = function () {
+		let journalCommands = [];
+		if (proposal) {
+			proposal.status = 'sending';
+			proposal.journalId = entry.id;
+			entry.proposal = proposal;
+			journalCommands.push(['hset', proposalsKey, proposal.id, JSON.stringify(proposal)]);
+		}
+		journalCommands.push(['hset', pendingPaymentsKey, entry.id, JSON.stringify(entry)]);
+
+		// Phase 1: journal the batch, nothing is sent if this fails
+		redisClient.multi(journalCommands).exec(function (error) {
+			if (error) {
+				log('error', logSystem, 'Could not journal payment batch, not sending it: %j', [error]);
+				callback(error);
+				return;
+			}
+
+			// Send payments using Wallet API
+			walletApi.sendAdvancedTransaction(destinations, batch[0].paymentId)
+				.then((result) => {
+					let txHash = result.transactionHash;
+					let fee = result.fee;
+
+					log('info', logSystem, 'Sent batch of %d payments, TX hash: %s, fee: %s', [
+						destinations.length,
+						txHash,
+						utils.getReadableCoins(fee)
+					], {
+						txHash: txHash
+					});
+
+					// Phase 2: mark the batch as sent, then commit the balances
+					entry.txHash = txHash;
+					entry.fee = fee;
+					redisClient.hset(pendingPaymentsKey, entry.id, JSON.stringify(entry), function () {
+						commitPayment(entry, txHash, fee, function (error) {
+							webhooks.send('paymentSent', {
+								txHash: txHash,
+								fee: fee,
+								amount: entry.total,
+								payments: batch.map(p => ({
+									address: p.address,
+									paymentId: p.paymentId || null,
+									amount: p.amount
+								}))
+							});
+							callback(error, entry);
+						});
+					});
+				})
+				.catch((error) => {
+					log('error', logSystem, 'Failed to send payment batch: %s', [error.message]);
+					log('error', logSystem, 'Payments failed for %j', destinations);
+					if (error.statusCode || notSentErrorCodes.indexOf(error.code) !== -1) {
+						// Rejected by the wallet or the wallet could not be reached, nothing was sent
+						let redisCommands = [['hdel', pendingPaymentsKey, entry.id]];
+						if (proposal) {
+							redisCommands.push(['hset', proposalsKey, proposal.id, JSON.stringify(Object.assign({}, proposal, {
+								status: 'failed',
+								error: error.message
+							}))]);
+						}
+						redisClient.multi(redisCommands).exec();
+					} else {
+						log('warn', logSystem, 'Batch %s may have been sent, it will be reconciled with the wallet history on the next run', [entry.id]);
+					}
+					callback(error);
+				});
+		});
+	};
+
+	// The wallet height bounds the wallet history lookups that reconcile or confirm the batch later
+	walletApi.getStatus().then((status) => {
+		entry.height = status.networkBlockCount;
+		journalAndSend();
+	}, (error) => {
+		log('error', logSystem, 'Could not get the wallet height, not sending payment batch: %s', [error.message]);
+		callback(error);
+	});
+}
+
+/**
+ * Store payment batches as proposals, unless earlier proposals are still waiting for review
+ **/
+function proposePaymentBatches (paymentBatches, callback) {
+	redisClient.hvals(proposalsKey, function (error, values) {
+		if (error) {
+			log('error', logSystem, 'Error reading payment proposals %j', [error]);
+			callback(true);
+			return;
+		}
+
+		let open = (values || []).map(v => JSON.parse(v)).filter(p => ['proposed', 'approved', 'sending'].indexOf(p.status) !== -1);
+		if (open.length > 0) {
+			log('info', logSystem, '%d payment proposals are waiting for review, not proposing new ones', [open.length]);
+			callback(true);
+			return;
+		}
+
+		let now = Date.now() / 1000 | 0;
+		let redisCommands = paymentBatches.map(function (batch, batchIndex) {
+			let proposal = {
+				id: now + '-' + batchIndex,
+				created: now,
+				status: 'proposed',
+				total: batch.reduce((sum, p) => sum + p.amount, 0),
+				batch: batch,
+				excluded: []
+			};
+			return ['hset', proposalsKey, proposal.id, JSON.stringify(proposal)];
+		});
+		redisClient.multi(redisCommands).exec(function (error) {
+			if (error) {
+				log('error', logSystem, 'Error storing payment proposals %j', [error]);
+				callback(true);
+				return;
+			}
+			log('info', logSystem, 'Stored %d payment batches for review (manual payments mode)', [paymentBatches.length]);
+			callback(null);
+		});
+	});
+}
+
+/**
+ * Send the approved payment proposals through the regular send path.
+ * Payments to excluded addresses or above the current worker balance are dropped.
+ **/
+function sendApprovedProposals (callback) {
+	redisClient.hvals(proposalsKey, function (error, values) {
+		if (error) {
+			log('error', logSystem, 'Error reading payment proposals %j', [error]);
+			callback(true);
+			return;
+		}
+
+		let approved = (values || []).map(v => JSON.parse(v)).filter(p => p.status === 'approved');
+		if (approved.length === 0) {
+			callback(null);
+			return;
+		}
+
+		async.eachSeries(approved, function (proposal, proposalCallback) {
+			let batch = proposal.batch.filter(p => proposal.excluded.indexOf(p.address) === -1);
+			let redisCommands = batch.map(p => ['hget', config.coin + ':workers:' + p.worker, 'balance']);
+
+			redisClient.multi(redisCommands).exec(function (error, balances) {
+				if (error) {
+					log('error', logSystem, 'Error with getting balances from redis %j', [error]);
+					proposalCallback();
+					return;
+				}
+
+				batch = batch.filter(function (payment, i) {
+					if ((parseInt(balances[i]) || 0) >= payment.amount) return true;
+					log('warn', logSystem, 'Dropping payment of %s to %s from proposal %s, the balance is lower now', [utils.getReadableCoins(payment.amount), payment.address, proposal.id]);
+					return false;
+				});
+
+				let saveProposal = function () {
+					redisClient.hset(proposalsKey, proposal.id, JSON.stringify(proposal), function () {
+						proposalCallback();
+					});
+				};
+
+				if (batch.length === 0) {
+					proposal.status = 'rejected';
+					proposal.rejectedBy = 'paymentProcessor';
+					proposal.rejectedAt = Date.now() / 1000 | 0;
+					saveProposal();
+					return;
+				}
+
+				// The proposal status follows the journal entry: sending, then sent with the balances or failed
+				log('info', logSystem, 'Sending payment proposal %s approved by %s', [proposal.id, proposal.approvedBy]);
+				sendPaymentBatch(batch, proposal.id, proposal, function () {
+					proposalCallback();
+				});
+			});
+		}, function () {
+			log('info', logSystem, 'Processed %d approved payment proposals', [approved.length]);
+			callback(true);
+		});
+	});
+}
+
+/**
+ * Move the finished proposals (sent, rejected or failed) to the capped archive list, they are never updated again
+ **/
+function archiveFinishedProposals (callback) {
+	redisClient.hvals(proposalsKey, function (error, values) {
+		if (error) {
+			log('error', logSystem, 'Error reading payment proposals %j', [error]);
+			callback(null);
+			return;
+		}
+
+		let finished = (values || []).map(v => JSON.parse(v))
+			.filter(p => ['sent', 'rejected', 'failed'].indexOf(p.status) !== -1)
+			.sort((a, b) => a.created - b.created);
+		if (finished.length === 0) {
+			callback(null);
+			return;
+		}
+
+		let redisCommands = [];
+		finished.forEach(function (proposal) {
+			redisCommands.push(['hdel', proposalsKey, proposal.id]);
+			redisCommands.push(['lpush', proposalsArchiveKey, JSON.stringify(proposal)]);
+		});
+		redisCommands.push(['ltrim', proposalsArchiveKey, 0, (config.payments.proposalArchiveSize || 1000) - 1]);
+		redisClient.multi(redisCommands).exec(function (error) {
+			if (error) {
+				log('error', logSystem, 'Error archiving payment proposals %j', [error]);
+			}
+			callback(null);
+		});
+	});
+}
+
 /**
  * Run payments processor
  **/
@@ -102,6 +644,37 @@ function runInterval () {
 
 	async.waterfall([
 
+		// Resolve batches left by a previous run before any new payout goes out
+		function (callback) {
+			reconcilePendingPayments(function (error) {
+				if (error) {
+					log('warn', logSystem, 'Unresolved pending payments, skipping this payment round');
+					callback(true);
+					return;
+				}
+				callback(null);
+			});
+		},
+
+		// Confirm sent transactions, credit back the dropped ones
+		function (callback) {
+			checkPaymentConfirmations(callback);
+		},
+
+		// Archive the finished proposals, left over too when the manual mode was turned off
+		function (callback) {
+			archiveFinishedProposals(callback);
+		},
+
+		// Manual mode: send the proposals approved by an administrator
+		function (callback) {
+			if (config.payments.mode !== 'manual') {
+				callback(null);
+				return;
+			}
+			sendApprovedProposals(callback);
+		},
+
 		// Get worker keys
 		function (callback) {
 			redisClient.keys(config.coin + ':workers:*', function (error, result) {
@@ -223,6 +796,15 @@ function runInterval () {
 					continue;
 				}
 
+				// Never pay into an address that fails to decode, the balance is kept
+				if (!utils.validateMinerAddress(loginParser.parseStored(worker).address)) {
+					log('warn', logSystem, 'Skipping invalid address: %s (balance: %s)', [
+						worker,
+						utils.getReadableCoins(balances[worker])
+					]);
+					continue;
+				}
+
 				let balance = balances[worker];
 				if (balance >= minPayoutLevel[worker]) {
 					let remainder = balance % config.payments.denomination;
@@ -263,12 +845,18 @@ function runInterval () {
 
 			for (let worker in payments) {
 				let amount = parseInt(payments[worker]);
-				let address = worker;
-
-				// Handle fixed difficulty separator
-				if (config.poolServer.fixedDiff && config.poolServer.fixedDiff.enabled) {
-					let addr = address.split(config.poolServer.fixedDiff.addressSeparator);
-					if (addr.length >= 2) address = addr[0];
+				let parsed = loginParser.parseStored(worker);
+				let address = parsed.address;
+
+				// A payment ID applies to the whole transaction, these payments are sent alone
+				if (parsed.paymentId) {
+					paymentBatches.push([{
+						address: address,
+						paymentId: parsed.paymentId,
+						amount: amount,
+						worker: worker
+					}]);
+					continue;
 				}
 
 				// Check if we need to start a new batch
@@ -296,81 +884,35 @@ function runInterval () {
 				paymentBatches.length
 			]);
 
+			// Manual mode: store the batches for review instead of sending them
+			if (config.payments.mode === 'manual') {
+				proposePaymentBatches(paymentBatches, callback);
+				return;
+			}
+
 			// Process each batch
 			let completedBatches = 0;
 			let notify_miners = [];
 
-			async.each(paymentBatches, function (batch, batchCallback) {
-				let destinations = batch.map(p => ({
-					address: p.address,
-					amount: p.amount
-				}));
-
-				// Send payments using Wallet API
-				walletApi.sendAdvancedTransaction(destinations)
-					.then((result) => {
-						let txHash = result.transactionHash;
-						let fee = result.fee;
-						let now = Date.now() / 1000 | 0;
-
-						log('info', logSystem, 'Sent batch of %d payments, TX hash: %s, fee: %s', [
-							destinations.length,
-							txHash,
-							utils.getReadableCoins(fee)
-						]);
-
-						// Update Redis
-						let redisCommands = [];
-
-						// Record payment
-						redisCommands.push(['zadd', config.coin + ':payments:all', now, [
-							txHash,
-							batch.reduce((sum, p) => sum + p.amount, 0),
-							fee,
-							0,
-							destinations.length,
-							batch[0].address  // Include first recipient address for display
-						].join(':')]);
-
-						// Update worker balances
-						for (let i = 0; i < batch.length; i++) {
-							let payment = batch[i];
-							let amount = payment.amount;
-
-							redisCommands.push(['hincrby', config.coin + ':workers:' + payment.worker, 'balance', -amount]);
-							redisCommands.push(['hincrby', config.coin + ':workers:' + payment.worker, 'paid', amount]);
-							redisCommands.push(['zadd', config.coin + ':payments:' + payment.address, now, [
-								txHash,
-								amount,
-								fee,
-								0
-							].join(':')]);
-
-							notify_miners.push({
-								address: payment.address,
-								amount: amount
-							});
-						}
-
-						redisClient.multi(redisCommands)
-							.exec(function (error) {
-								if (error) {
-									log('error', logSystem, 'Critical error updating Redis: %j', [error]);
-									batchCallback(error);
-									return;
-								}
-
-								completedBatches++;
-								log('info', logSystem, 'Completed batch %d/%d', [completedBatches, paymentBatches.length]);
-								batchCallback();
-							});
-					})
-					.catch((error) => {
-						log('error', logSystem, 'Failed to send payment batch: %s', [error.message]);
-						log('error', logSystem, 'Payments failed for %j', destinations);
+			async.eachOf(paymentBatches, function (batch, batchIndex, batchCallback) {
+				sendPaymentBatch(batch, batchIndex, null, function (error, entry) {
+					if (error) {
 						batchCallback(error);
-					});
+						return;
+					}
 
+					batch.forEach(function (payment) {
+						notify_miners.push({
+							address: payment.address,
+							login: payment.worker,
+							amount: payment.amount,
+							txHash: entry.txHash
+						});
+					});
+					completedBatches++;
+					log('info', logSystem, 'Completed batch %d/%d', [completedBatches, paymentBatches.length]);
+					batchCallback();
+				});
 			}, function (error) {
 				if (error) {
 					log('error', logSystem, 'Some payment batches failed');
@@ -382,6 +924,11 @@ function runInterval () {
 				for (let m in notify_miners) {
 					let notify = notify_miners[m];
 					log('info', logSystem, 'Payment of %s to %s', [utils.getReadableCoins(notify.amount), notify.address]);
+					notifications.sendToMiner(notify.login, 'paymentSent', {
+						'ADDRESS': notify.address.substring(0, 7) + '...' + notify.address.substring(notify.address.length - 7),
+						'AMOUNT': utils.getReadableCoins(notify.amount),
+						'TX_HASH': notify.txHash
+					});
 				}
 
 				log('info', logSystem, 'Payment round complete');
@@ -9,12 +9,21 @@
 let fs = require('fs');
 let net = require('net');
 let tls = require('tls');
+let http = require('http');
+let https = require('https');
+let WebSocket = require('ws');
 let async = require('async');
 let bignum = require('bignum');
 
 let apiInterfaces = require('./apiInterfaces.js')(config.daemon, config.wallet, config.api);
-// let notifications = require('./notifications.js'); // REMOVED
+let notifications = require('./notifications.js');
+let webhooks = require('./webhooks.js');
+let metrics = require('./metrics.js');
 let utils = require('./utils.js');
+let bans = require('./bans.js');
+let loginParser = require('./login.js');
+let shareJournal = require('./shareJournal.js');
+let configReload = require('./configReload.js');
 
 config.hashingUtil = config.hashingUtil || false;
 let cnHashing = require('cryptonight-hashing');
@@ -24,16 +33,22 @@ if (config.hashingUtil) {
 // Set nonce pattern - must exactly be 8 hex chars
 let noncePattern = new RegExp("^[0-9A-Fa-f]{8}$");
 
+// Hashes an EthereumStratum session may do on one job before it gets a fresh blob (half the 4 byte nonce space)
+let stratumJobHashes = Math.pow(2, 31);
+
 // Set redis database cleanup interval
 let cleanupInterval = config.redis.cleanupInterval && config.redis.cleanupInterval > 0 ? config.redis.cleanupInterval : 15;
 
+// Connect/disconnect events kept per worker
+let workerHistorySize = 50;
+
 // Initialize log system
 let logSystem = 'pool';
 require('./exceptionWriter.js')(logSystem);
 
 let threadId = '(Thread ' + process.env.forkId + ') ';
-let log = function (severity, system, text, data) {
-	global.log(severity, system, threadId + text, data);
+let log = function (severity, system, text, data, fields) {
+	global.log(severity, system, threadId + text, data, fields);
 };
 
 // Set cryptonight algorithm
@@ -69,10 +84,31 @@ let shareTrustMinFloat = shareTrustEnabled ? config.poolServer.shareTrust.min /
 
 let banningEnabled = config.poolServer.banning && config.poolServer.banning.enabled;
 let bannedIPs = {};
+let bannedRanges = [];
 let perIPStats = {};
 
+let addressBanningEnabled = config.poolServer.addressBanning && config.poolServer.addressBanning.enabled;
+let bannedAddresses = {};
+// Shares counted on this fork since the last flush to the counters shared by all forks
+let perAddressStats = {};
+let addressStatsFlushInterval = 5000;
+
+let loginRulesConfig = config.poolServer.loginRules || {};
+let loginRules = {
+	deny: [],
+	allow: []
+};
+
 let slushMiningEnabled = config.poolServer.slushMining && config.poolServer.slushMining.enabled;
 
+// Shares on a template of the previous height are accepted for gracePeriod seconds and credited
+// fully, partially (partialCredit of the share difficulty) or not at all depending on policy
+let staleShares = config.poolServer.staleShares || {};
+let staleSharesGrace = staleShares.enabled ? (staleShares.gracePeriod || 0) * 1000 : 0;
+
+let pplnsEnabled = config.poolServer.pplns && config.poolServer.pplns.enabled;
+let ppsEnabled = config.poolServer.pps && config.poolServer.pps.enabled;
+
 config.isRandomX = config.isRandomX || false;
 
 let previousOffset = config.previousOffset || 7;
@@ -86,6 +122,11 @@ if (config.daemonType === 'bytecoin') {
 // Block templates
 let validBlockTemplates = [[]];
 let currentBlockTemplate = [];
+let templateHeightChangedAt = 0;
+let templateReceivedAt = 0;
+
+// Healthy daemons reported by the daemon worker, the one serving templates first
+let blockDaemons = [];
 
 // Difficulty buffer
 let diff1 = bignum('FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF', 16);
@@ -125,28 +166,73 @@ setInterval(function () {
 		}
 	}
 
-	if (banningEnabled) {
-		for (ip in bannedIPs) {
-			let banTime = bannedIPs[ip];
-			if (now - banTime > config.poolServer.banning.time * 1000) {
-				delete bannedIPs[ip];
-				delete perIPStats[ip];
-				log('info', logSystem, 'Ban dropped for %s', [ip]);
-			}
-		}
-	}
+	// Redis is the source of truth for bans, pick up changes made by other forks or the API
+	loadBans();
 
 }, 30000);
 
+/**
+ * Metrics, reported to the API through the master process
+ **/
+let minersMetric = metrics.gauge('pool_miners_connected', 'Connected miners per port');
+let acceptedSharesMetric = metrics.counter('pool_shares_accepted_total', 'Accepted shares per port');
+let rejectedSharesMetric = metrics.counter('pool_shares_rejected_total', 'Rejected shares per port and reason');
+let shareValidationMetric = metrics.histogram('pool_share_validation_seconds', 'Share validation duration');
+let templateAgeMetric = metrics.gauge('pool_template_age_seconds', 'Age of the current block template');
+let templateHeightMetric = metrics.gauge('pool_template_height', 'Height of the current block template');
+
+metrics.onCollect(function () {
+	let miners = {};
+	config.poolServer.ports.forEach(portData => miners[portData.port] = 0);
+	for (let minerId in connectedMiners) {
+		miners[connectedMiners[minerId].port] = (miners[connectedMiners[minerId].port] || 0) + 1;
+	}
+	minersMetric.reset();
+	for (let port in miners) {
+		minersMetric.set({
+			port: port
+		}, miners[port]);
+	}
+	if (currentBlockTemplate[0]) {
+		templateAgeMetric.set({}, (Date.now() - templateReceivedAt) / 1000);
+		templateHeightMetric.set({}, currentBlockTemplate[0].height);
+	}
+});
+
+if (metrics.enabled()) {
+	setInterval(function () {
+		process.send({
+			type: 'metrics',
+			forkId: process.env.forkId,
+			metrics: metrics.snapshot()
+		});
+	}, (config.metrics.reportInterval || 10) * 1000);
+}
+
 /**
  * Handle multi-thread messages
  **/
 process.on('message', function (message) {
 	switch (message.type) {
 		case 'banIP':
-			bannedIPs[message.ip] = Date.now();
+			if (message.ban) applyBan(message.ban);
+			break;
+		case 'unbanIP':
+			liftBan(message.ip);
+			break;
+		case 'banAddress':
+			if (message.ban) applyAddressBan(message.ban);
+			break;
+		case 'unbanAddress':
+			delete bannedAddresses[message.address];
+			break;
+		case 'loginRules':
+			loadLoginRules();
 			break;
 		case 'BlockTemplate':
+			if (message.daemons && message.daemons.length > 0) {
+				blockDaemons = message.daemons;
+			}
 			let buffer = Buffer.from(message.block.blocktemplate_blob, 'hex');
 			let new_hash = Buffer.alloc(32);
 			buffer.copy(new_hash, 0, previousOffset, 39);
@@ -179,6 +265,7 @@ function BlockTemplate (template) {
 		console.log(`BlockTemplate ${e}`);
 	}
 	this.num_transactions = template.num_transactions || 0;
+	this.reward = template.expected_reward || 0;
 	this.blocktemplate_blob = template.blocktemplate_blob;
 	let blob = this.blocktemplate_blob;
 	this.buffer = Buffer.from(blob, 'hex');
@@ -234,6 +321,10 @@ function processBlockTemplate (template) {
 	if (currentBlockTemplate[0]) {
 		validBlockTemplates[0].push(currentBlockTemplate[0]);
 	}
+	if (!currentBlockTemplate[0] || currentBlockTemplate[0].height !== block_template.height) {
+		templateHeightChangedAt = Date.now();
+	}
+	templateReceivedAt = Date.now();
 
 	while (validBlockTemplates[0].length > 3) {
 		validBlockTemplates[0].shift();
@@ -254,7 +345,7 @@ function notifyConnectedMiners () {
 /**
  * Variable difficulty
  **/
-let VarDiff = (function () {
+function getVarDiff () {
 	let variance = config.poolServer.varDiff.variancePercent / 100 * config.poolServer.varDiff.targetTime;
 	return {
 		variance: variance,
@@ -263,12 +354,24 @@ let VarDiff = (function () {
 		tMax: config.poolServer.varDiff.targetTime + variance,
 		maxJump: config.poolServer.varDiff.maxJump
 	};
-})();
+}
+let VarDiff = getVarDiff();
+
+// Recompute the retarget window when varDiff settings are reloaded
+configReload.onReload(function (changes) {
+	if (changes.some(change => change.path.indexOf('poolServer.varDiff.') === 0)) {
+		VarDiff = getVarDiff();
+	}
+});
 
 function GetRewardTypeAsKey (rewardType) {
 	switch (rewardType) {
 		case 'solo':
 			return ':solo'
+		case 'pplns':
+			return ':pplns'
+		case 'pps':
+			return ':pps'
 		case 'prop':
 			return ''
 		default:
@@ -279,31 +382,27 @@ function GetRewardTypeAsKey (rewardType) {
 /**
  * Miner
  **/
-function Miner (rewardType, id, login, pass, ip, port, agent, startingDiff, noRetarget, pushMessage) {
+function Miner (rewardType, id, login, workerName, ip, port, agent, startingDiff, noRetarget, pushMessage) {
 	this.rewardType = rewardType;
 	this.rewardTypeAsKey = GetRewardTypeAsKey(rewardType);
 
 	this.id = id;
 	this.login = login;
-	this.pass = pass;
+	// Wallet address without the payment ID
+	this.address = loginParser.parseStored(login).address;
 	this.ip = ip;
 	this.port = port;
+	this.agent = agent || '';
 	this.proxy = false;
 	if (agent && agent.includes('xmr-node-proxy')) {
 		this.proxy = true;
 	}
-	this.workerName = 'undefined';
-	if (pass.lastIndexOf('@') >= 0 && pass.lastIndexOf('@') < pass.length) {
-		passDelimiterPos = pass.lastIndexOf('@') + 1;
-		this.workerName = pass.substr(passDelimiterPos, pass.length)
-			.trim();
-	}
+	this.workerName = workerName || 'undefined';
 	this.pushMessage = pushMessage;
 	this.heartbeat();
 	this.noRetarget = noRetarget;
 	this.difficulty = startingDiff;
 	this.validJobs = [];
-	this.workerName = pass;
 
 	// Vardiff related variables
 	this.shareTimeRing = utils.ringBuffer(16);
@@ -380,6 +479,7 @@ Miner.prototype = {
 		let newJob = {
 			id: utils.uid(),
 			height: blockTemplate.height,
+			blockTemplate: blockTemplate,
 			submissions: []
 		};
 		if (this.lastBlockHeight === blockTemplate.height && !this.pendingDifficulty && this.cachedJob !== null && !config.daemon.alwaysPoll) {
@@ -439,7 +539,8 @@ Miner.prototype = {
 		}
 		return this.cachedJob;
 	},
-	checkBan: function (validShare) {
+	checkBan: function (validShare, source) {
+		this.countAddressShare(validShare, source);
 		if (!banningEnabled) return;
 		// Init global per-ip shares stats
 		if (!perIPStats[this.ip]) {
@@ -455,19 +556,45 @@ Miner.prototype = {
 		if (stats.validShares + stats.invalidShares >= config.poolServer.banning.checkThreshold) {
 			if (stats.invalidShares / stats.validShares >= config.poolServer.banning.invalidPercent / 100) {
 				validShare ? this.validShares++ : this.invalidShares++;
-				log('warn', logSystem, 'Banned %s@%s', [this.login, this.ip]);
-				bannedIPs[this.ip] = Date.now();
-				delete connectedMiners[this.id];
-				process.send({
-					type: 'banIP',
+				log('warn', logSystem, 'Banned %s@%s', [this.login, this.ip], {
+					login: this.login,
 					ip: this.ip
 				});
+				let reason = source === 'duplicateNonce' ? 'Malformed or duplicate nonce' : 'Invalid shares ratio exceeded';
+				banIp(this.ip, reason, source || 'invalidShares');
+				webhooks.send('minerBanned', {
+					type: 'ip',
+					login: this.login,
+					worker: this.workerName,
+					ip: this.ip,
+					reason: reason,
+					source: source || 'invalidShares'
+				});
+				delete perIPStats[this.ip];
+				delete connectedMiners[this.id];
 				removeConnectedWorker(this, 'banned');
 			} else {
 				stats.invalidShares = 0;
 				stats.validShares = 0;
 			}
 		}
+	},
+	/**
+	 * Count a share of the wallet address (all of its workers, all payment IDs), the counts are checked by flushAddressStats
+	 **/
+	countAddressShare: function (validShare, source) {
+		if (!addressBanningEnabled) return;
+		if (!perAddressStats[this.address]) {
+			perAddressStats[this.address] = {
+				validShares: 0,
+				invalidShares: 0
+			};
+		}
+
+		let stats = perAddressStats[this.address];
+		validShare ? stats.validShares++ : stats.invalidShares++;
+		stats.login = this.login;
+		if (!validShare) stats.source = source;
 	}
 };
 
@@ -491,34 +618,37 @@ function handleMinerMethod (method, params, ip, portData, sendReply, pushMessage
 				return;
 			}
 
-			let calculated = utils.determineRewardData(login);
-			login = calculated.address;
-			let rewardType = calculated.rewardType;
+			let parsedLogin = loginParser.parse(login, params.pass);
+			login = parsedLogin.login;
+			let rewardType = parsedLogin.rewardType;
+			if (rewardType === 'pplns' && !pplnsEnabled) {
+				log('warn', logSystem, 'PPLNS is disabled, falling back to proportional rewards for %s', [login]);
+				rewardType = 'prop';
+			}
+			if (rewardType === 'pps' && !ppsEnabled) {
+				log('warn', logSystem, 'PPS is disabled, falling back to proportional rewards for %s', [login]);
+				rewardType = 'prop';
+			}
 
 			let port = portData.port;
-			let pass = params.pass;
 
 			let difficulty = portData.difficulty;
 			let noRetarget = false;
-			if (config.poolServer.fixedDiff.enabled) {
-				let fixedDiffCharPos = login.lastIndexOf(config.poolServer.fixedDiff.addressSeparator);
-				if (fixedDiffCharPos !== -1 && (login.length - fixedDiffCharPos < 32)) {
-					diffValue = login.substr(fixedDiffCharPos + 1);
-					difficulty = parseInt(diffValue);
-					login = login.substr(0, fixedDiffCharPos);
-					if (!difficulty || difficulty != diffValue) {
-						log('warn', logSystem, 'Invalid difficulty value "%s" for login: %s', [diffValue, login]);
-						difficulty = portData.difficulty;
-					} else {
-						noRetarget = true;
-						if (difficulty < config.poolServer.varDiff.minDiff) {
-							difficulty = config.poolServer.varDiff.minDiff;
-						}
+			if (parsedLogin.difficulty !== null) {
+				if (!config.poolServer.fixedDiff.enabled) {
+					log('warn', logSystem, 'Fixed difficulty is disabled, ignoring difficulty %d for login: %s', [parsedLogin.difficulty, login]);
+				} else if (!parsedLogin.difficulty) {
+					log('warn', logSystem, 'Invalid difficulty value "%s" for login: %s', [parsedLogin.difficulty, login]);
+				} else {
+					difficulty = parsedLogin.difficulty;
+					noRetarget = true;
+					if (difficulty < config.poolServer.varDiff.minDiff) {
+						difficulty = config.poolServer.varDiff.minDiff;
 					}
 				}
 			}
 
-			if (!utils.validateMinerAddress(login)) {
+			if (!utils.validateMinerAddress(parsedLogin.address)) {
 				let addressPrefix = login.substring(0, 10);
 
 				log('warn', logSystem, 'Invalid address used for login (prefix: %s): %s', [addressPrefix, login]);
@@ -526,8 +656,19 @@ function handleMinerMethod (method, params, ip, portData, sendReply, pushMessage
 				return;
 			}
 
+			if (IsBannedAddress(parsedLogin.address)) {
+				sendReply('Your address is banned');
+				return;
+			}
+
+			if (!IsAllowedLogin(parsedLogin.address)) {
+				log('warn', logSystem, 'Login rejected by login rules: %s@%s', [login, ip]);
+				sendReply('Address is not allowed to mine on this pool');
+				return;
+			}
+
 			let minerId = utils.uid();
-			miner = new Miner(rewardType, minerId, login, pass, ip, port, params.agent, difficulty, noRetarget, pushMessage);
+			miner = new Miner(rewardType, minerId, login, parsedLogin.workerName, ip, port, params.agent, difficulty, noRetarget, pushMessage);
 			connectedMiners[minerId] = miner;
 
 			sendReply(null, {
@@ -558,11 +699,14 @@ function handleMinerMethod (method, params, ip, portData, sendReply, pushMessage
 			})[0];
 
 			if (!job) {
+				recordRejectedShare(miner, 'staleJob');
 				sendReply('Invalid job id');
 				return;
 			}
 
-			if (!params.nonce || !params.result) {
+			// EthereumStratum miners do not send the resulting hash, the pool computes it
+			if (!params.nonce || (!params.result && portData.protocol !== 'ethstratum')) {
+				recordRejectedShare(miner, 'malformedNonce');
 				sendReply('Attack detected');
 				let minerText = miner ? (' ' + miner.login + '@' + miner.ip) : '';
 				log('warn', logSystem, 'Malformed miner share: ' + JSON.stringify(params) + ' from ' + minerText);
@@ -576,7 +720,8 @@ function handleMinerMethod (method, params, ip, portData, sendReply, pushMessage
 					validShares: 0,
 					invalidShares: 999999
 				};
-				miner.checkBan(false);
+				miner.checkBan(false, 'duplicateNonce');
+				recordRejectedShare(miner, 'malformedNonce');
 				sendReply('Duplicate share1');
 				return;
 			}
@@ -592,7 +737,8 @@ function handleMinerMethod (method, params, ip, portData, sendReply, pushMessage
 						validShares: 0,
 						invalidShares: 999999
 					};
-					miner.checkBan(false);
+					miner.checkBan(false, 'duplicateNonce');
+					recordRejectedShare(miner, 'duplicate');
 					sendReply('Duplicate share2');
 					return;
 				}
@@ -606,7 +752,8 @@ function handleMinerMethod (method, params, ip, portData, sendReply, pushMessage
 						validShares: 0,
 						invalidShares: 999999
 					};
-					miner.checkBan(false);
+					miner.checkBan(false, 'duplicateNonce');
+					recordRejectedShare(miner, 'malformedNonce');
 					sendReply('Duplicate share3');
 					return;
 				}
@@ -618,7 +765,8 @@ function handleMinerMethod (method, params, ip, portData, sendReply, pushMessage
 						validShares: 0,
 						invalidShares: 999999
 					};
-					miner.checkBan(false);
+					miner.checkBan(false, 'duplicateNonce');
+					recordRejectedShare(miner, 'duplicate');
 					sendReply('Duplicate share4');
 					return;
 				}
@@ -626,17 +774,17 @@ function handleMinerMethod (method, params, ip, portData, sendReply, pushMessage
 
 			}
 
-			let isJobBlock = function (b) {
-				return b.height === job.height;
-			};
-
-			let blockTemplate = currentBlockTemplate[0];
+			let blockTemplate = getJobTemplate(job);
 			if (!blockTemplate) {
+				recordRejectedShare(miner, 'expiredTemplate');
 				sendReply('Block expired');
 				return;
 			}
 
+			let validationStart = process.hrtime();
 			let shareAccepted = processShare(miner, job, blockTemplate, params);
+			let validationTime = process.hrtime(validationStart);
+			shareValidationMetric.observe({}, validationTime[0] + validationTime[1] / 1e9);
 			miner.checkBan(shareAccepted);
 
 			if (shareTrustEnabled) {
@@ -661,6 +809,9 @@ function handleMinerMethod (method, params, ip, portData, sendReply, pushMessage
 			let now = Date.now() / 1000 | 0;
 			miner.shareTimeRing.append(now - miner.lastShareTime);
 			miner.lastShareTime = now;
+			acceptedSharesMetric.inc({
+				port: miner.port
+			});
 
 			sendReply(null, {
 				status: 'OK'
@@ -684,26 +835,155 @@ function handleMinerMethod (method, params, ip, portData, sendReply, pushMessage
 	}
 }
 
+/**
+ * Handle EthereumStratum / NiceHash style messages
+ *
+ * mining.subscribe, mining.authorize and mining.submit are translated to the
+ * login and submit methods above, so these miners go through the same Miner
+ * and share processing code as every other connection.
+ **/
+function handleEthStratumMessage (socket, jsonData, portData) {
+	let session = socket.stratumSession;
+	let params = Array.isArray(jsonData.params) ? jsonData.params : [];
+
+	let sendReply = function (error, result) {
+		if (!socket.writable) return;
+		socket.write(JSON.stringify({
+			id: jsonData.id,
+			result: error ? null : result,
+			error: error ? [20, error, null] : null
+		}) + "\n");
+	};
+
+	let sendNotification = function (method, notificationParams) {
+		if (!socket.writable) return;
+		socket.write(JSON.stringify({
+			id: null,
+			method: method,
+			params: notificationParams
+		}) + "\n");
+	};
+
+	// Translate pool jobs into set_difficulty / notify messages
+	let pushMessage = function (method, job) {
+		if (method !== 'job' || !session.minerId) return;
+		let miner = connectedMiners[session.minerId];
+		if (!miner) return;
+		if (session.difficulty !== miner.difficulty) {
+			session.difficulty = miner.difficulty;
+			sendNotification('mining.set_difficulty', [miner.difficulty]);
+		}
+		if (session.jobId !== job.job_id) {
+			session.jobId = job.job_id;
+			session.jobHashes = 0;
+		}
+		sendNotification('mining.notify', [job.job_id, job.seed_hash || '', job.blob, true]);
+	};
+
+	// Send a fresh blob before the miner runs out of nonces on the current one
+	let countJobHashes = function () {
+		let miner = connectedMiners[session.minerId];
+		if (!miner) return;
+		session.jobHashes += miner.difficulty;
+		if (session.jobHashes < stratumJobHashes) return;
+		miner.cachedJob = null;
+		pushMessage('job', miner.getJob());
+	};
+
+	switch (jsonData.method) {
+		case 'mining.subscribe':
+			session.agent = params[0];
+			session.subscribed = true;
+			// Every miner gets its own blob from the template reserve, the whole nonce is left to the miner
+			sendReply(null, [
+				['mining.notify', utils.uid(), 'EthereumStratum/1.0.0'],
+				''
+			]);
+			break;
+		case 'mining.extranonce.subscribe':
+			sendReply(null, true);
+			break;
+		case 'mining.authorize':
+			if (!session.subscribed) {
+				sendReply('Not subscribed');
+				return;
+			}
+			handleMinerMethod('login', {
+				login: params[0],
+				pass: params[1] || 'x',
+				agent: session.agent
+			}, socket.remoteAddress, portData, function (error, result) {
+				if (error) {
+					sendReply(error);
+					return;
+				}
+				session.minerId = result.id;
+				sendReply(null, true);
+				pushMessage('job', result.job);
+			}, pushMessage);
+			break;
+		case 'mining.submit': {
+			if (!session.minerId) {
+				sendReply('Unauthenticated');
+				return;
+			}
+			let nonce = typeof params[2] === 'string' ? params[2].replace(/^0x/i, '') : '';
+			handleMinerMethod('submit', {
+				id: session.minerId,
+				job_id: params[1],
+				nonce: nonce,
+				result: params[3]
+			}, socket.remoteAddress, portData, function (error, result) {
+				if (error) {
+					sendReply(error);
+					return;
+				}
+				sendReply(null, true);
+				countJobHashes();
+			}, pushMessage);
+			break;
+		}
+		default:
+			sendReply('Invalid method');
+			log('warn', logSystem, 'Invalid stratum method: %s (%j) from %s', [jsonData.method, params, socket.remoteAddress]);
+			break;
+	}
+}
+
 /**
  * New connected worker
  **/
 function newConnectedWorker (miner) {
-	log('info', logSystem, 'Miner connected %s@%s on port', [miner.login, miner.ip, miner.port]);
+	log('info', logSystem, 'Miner connected %s@%s on port', [miner.login, miner.ip, miner.port], {
+		login: miner.login,
+		ip: miner.ip,
+		port: miner.port
+	});
 	if (miner.workerName !== 'undefined') log('info', logSystem, 'Worker Name: %s', [miner.workerName]);
 	if (miner.difficulty) log('info', logSystem, 'Miner difficulty fixed to %s', [miner.difficulty]);
 
 	redisClient.sadd(`${config.coin}:workers_ip:${miner.login}`, miner.ip);
 	redisClient.hincrby(`${config.coin}:ports:${miner.port}`, 'users', 1);
+	recordWorkerEvent(miner, 'connect', [
+		['hmset', `${config.coin}:unique_workers:${miner.login}~${miner.workerName}`,
+			'rewardType', miner.rewardType,
+			'agent', miner.agent,
+			'ip', miner.ip,
+			'port', miner.port,
+			'difficulty', miner.difficulty,
+			'connected', Date.now() / 1000 | 0
+		]
+	]);
 
 	redisClient.hincrby(`${config.coin}:active_connections${miner.rewardTypeAsKey}`, `${miner.login}~${miner.workerName}`, 1, function (error, connectedWorkers) {
 		if (connectedWorkers === 1) {
-// 			notifications.sendToMiner(miner.login, 'workerConnected', {
-// 				'LOGIN': miner.login,
-// 				'MINER': `${miner.login.substring(0,7)}...${miner.login.substring(miner.login.length-7)}`,
-// 				'IP': miner.ip.replace('::ffff:', ''),
-// 				'PORT': miner.port,
-// 				'WORKER_NAME': miner.workerName !== 'undefined' ? miner.workerName : ''
-// 			});
+			notifications.sendToMiner(miner.login, 'workerConnected', {
+				'LOGIN': miner.login,
+				'MINER': `${miner.login.substring(0,7)}...${miner.login.substring(miner.login.length-7)}`,
+				'IP': miner.ip.replace('::ffff:', ''),
+				'PORT': miner.port,
+				'WORKER_NAME': miner.workerName !== 'undefined' ? miner.workerName : ''
+			});
 		}
 	});
 }
@@ -713,45 +993,325 @@ function newConnectedWorker (miner) {
  **/
 function removeConnectedWorker (miner, reason) {
 	redisClient.hincrby(`${config.coin}:ports:${miner.port}`, 'users', '-1');
+	recordWorkerEvent(miner, reason, [
+		['hset', `${config.coin}:unique_workers:${miner.login}~${miner.workerName}`, 'disconnected', Date.now() / 1000 | 0]
+	]);
 
 	redisClient.hincrby(`${config.coin}:active_connections${miner.rewardTypeAsKey}`, `${miner.login}~${miner.workerName}`, -1, function (error, connectedWorkers) {
 		if (reason === 'banned') {
-// 			notifications.sendToMiner(miner.login, 'workerBanned', {
-// 				'LOGIN': miner.login,
-// 				'MINER': `${miner.login.substring(0,7)}...${miner.login.substring(miner.login.length-7)}`,
-// 				'IP': miner.ip.replace('::ffff:', ''),
-// 				'PORT': miner.port,
-// 				'WORKER_NAME': miner.workerName !== 'undefined' ? miner.workerName : ''
-// 			});
+			notifications.sendToMiner(miner.login, 'workerBanned', {
+				'LOGIN': miner.login,
+				'MINER': `${miner.login.substring(0,7)}...${miner.login.substring(miner.login.length-7)}`,
+				'IP': miner.ip.replace('::ffff:', ''),
+				'PORT': miner.port,
+				'WORKER_NAME': miner.workerName !== 'undefined' ? miner.workerName : ''
+			});
 		} else if (!connectedWorkers || connectedWorkers <= 0) {
-// 			notifications.sendToMiner(miner.login, 'workerTimeout', {
-// 				'LOGIN': miner.login,
-// 				'MINER': `${miner.login.substring(0,7)}...${miner.login.substring(miner.login.length-7)}`,
-// 				'IP': miner.ip.replace('::ffff:', ''),
-// 				'PORT': miner.port,
-// 				'WORKER_NAME': miner.workerName !== 'undefined' ? miner.workerName : '',
-// 				'LAST_HASH': utils.dateFormat(new Date(miner.lastBeat), 'yyyy-mm-dd HH:MM:ss Z')
-// 			});
+			notifications.sendToMiner(miner.login, 'workerTimeout', {
+				'LOGIN': miner.login,
+				'MINER': `${miner.login.substring(0,7)}...${miner.login.substring(miner.login.length-7)}`,
+				'IP': miner.ip.replace('::ffff:', ''),
+				'PORT': miner.port,
+				'WORKER_NAME': miner.workerName !== 'undefined' ? miner.workerName : '',
+				'LAST_HASH': utils.dateFormat(new Date(miner.lastBeat), 'yyyy-mm-dd HH:MM:ss Z')
+			});
+		}
+	});
+}
+
+/**
+ * Add a connect or disconnect (timeout, banned) event to the worker history
+ **/
+function recordWorkerEvent (miner, event, redisCommands) {
+	let workerKey = `${config.coin}:unique_workers:${miner.login}~${miner.workerName}`;
+	let historyKey = `${config.coin}:worker_history:${miner.login}~${miner.workerName}`;
+	redisClient.multi(redisCommands.concat([
+		['expire', workerKey, (86400 * cleanupInterval)],
+		['lpush', historyKey, JSON.stringify({
+			event: event,
+			time: Date.now() / 1000 | 0,
+			ip: miner.ip,
+			port: miner.port
+		})],
+		['ltrim', historyKey, 0, workerHistorySize - 1],
+		['expire', historyKey, (86400 * cleanupInterval)]
+	])).exec(function (error) {
+		if (error) {
+			log('error', logSystem, 'Failed to record %s of worker %s~%s: %j', [event, miner.login, miner.workerName, error]);
 		}
 	});
 }
 
 /**
- * Return if IP has been banned
+ * Return if IP has been banned (manual bans apply even when automatic banning is disabled)
  **/
 function IsBannedIp (ip) {
-	if (!banningEnabled || !bannedIPs[ip]) return false;
+	let address = utils.normalizeIp(ip);
+	let ban = bannedIPs[address];
+	if (!ban) {
+		for (let i = 0; i < bannedRanges.length; i++) {
+			if (bans.matches(bannedIPs[bannedRanges[i]], address)) {
+				ban = bannedIPs[bannedRanges[i]];
+				break;
+			}
+		}
+	}
+	if (!ban) return false;
 
-	let bannedTime = bannedIPs[ip];
-	let bannedTimeAgo = Date.now() - bannedTime;
-	let timeLeft = config.poolServer.banning.time * 1000 - bannedTimeAgo;
-	if (timeLeft > 0) {
-		return true;
-	} else {
-		delete bannedIPs[ip];
-		log('info', logSystem, 'Ban dropped for %s', [ip]);
+	if (bans.isExpired(ban)) {
+		liftBan(ban.ip);
+		return false;
+	}
+	return true;
+}
+
+/**
+ * Add a ban to this fork
+ **/
+function applyBan (ban) {
+	bannedIPs[ban.ip] = ban;
+	bannedRanges = Object.keys(bannedIPs).filter(function (ip) {
+		return ip.indexOf('/') !== -1;
+	});
+}
+
+/**
+ * Remove a ban from this fork
+ **/
+function liftBan (ip) {
+	if (!bannedIPs[ip]) return;
+	delete bannedIPs[ip];
+	bannedRanges = Object.keys(bannedIPs).filter(function (ip) {
+		return ip.indexOf('/') !== -1;
+	});
+	log('info', logSystem, 'Ban dropped for %s', [ip]);
+}
+
+/**
+ * Ban an IP address on every fork for the configured ban time
+ **/
+function banIp (ip, reason, source) {
+	let ban = bans.create(ip, reason, source, config.poolServer.banning.time);
+	if (!ban) return;
+	applyBan(ban);
+	bans.save(ban, function (error) {
+		if (error) {
+			log('error', logSystem, 'Could not store ban for %s: %j', [ban.ip, error]);
+		}
+		process.send({
+			type: 'banIP',
+			ban: ban
+		});
+	});
+}
+
+/**
+ * Return if a wallet address has been banned
+ **/
+function IsBannedAddress (address) {
+	let ban = bannedAddresses[address];
+	if (!ban) return false;
+
+	if (bans.isExpired(ban)) {
+		delete bannedAddresses[address];
+		log('info', logSystem, 'Ban dropped for address %s', [address]);
 		return false;
 	}
+	return true;
+}
+
+/**
+ * Return if a wallet address passes the login deny-list (and the allow-list in allow-list mode)
+ **/
+function IsAllowedLogin (address) {
+	if (loginRules.deny.indexOf(address) !== -1) return false;
+	if (loginRulesConfig.allowListMode && loginRules.allow.indexOf(address) === -1) return false;
+	return true;
+}
+
+/**
+ * Add a wallet address ban to this fork and disconnect its workers
+ **/
+function applyAddressBan (ban) {
+	bannedAddresses[ban.address] = ban;
+	for (let minerId in connectedMiners) {
+		let miner = connectedMiners[minerId];
+		if (miner.address === ban.address) {
+			delete connectedMiners[minerId];
+			removeConnectedWorker(miner, 'banned');
+		}
+	}
+}
+
+// Add the shares counted by a fork to the counters of an address shared by all forks. Once checkThreshold shares
+// are counted the counters are reset, returns the invalid and valid counts when the invalid ratio is exceeded.
+// Counters of an address without shares for a day expire.
+let addressStatsScript = `
+	local valid = redis.call('hincrby', KEYS[1], 'valid', ARGV[1])
+	local invalid = redis.call('hincrby', KEYS[1], 'invalid', ARGV[2])
+	redis.call('expire', KEYS[1], ARGV[5])
+	if valid + invalid < tonumber(ARGV[3]) then return nil end
+	redis.call('del', KEYS[1])
+	if valid > 0 and invalid / valid < tonumber(ARGV[4]) then return nil end
+	return {invalid, valid}
+`;
+
+/**
+ * Add the shares counted on this fork to the counters of their address, ban the addresses exceeding the invalid ratio
+ **/
+function flushAddressStats () {
+	let settings = config.poolServer.addressBanning;
+	let addresses = Object.keys(perAddressStats);
+	if (addresses.length === 0) return;
+	let stats = perAddressStats;
+	perAddressStats = {};
+
+	let redisCommands = addresses.map(address => ['eval', addressStatsScript,
+		1 /*keys*/ , `${config.coin}:address_stats:${address}`,
+		/* args */
+		stats[address].validShares, stats[address].invalidShares, settings.checkThreshold, settings.invalidPercent / 100, 86400
+	]);
+	redisClient.multi(redisCommands).exec(function (error, replies) {
+		if (error) {
+			log('error', logSystem, 'Could not update address shares counters: %j', [error]);
+			return;
+		}
+		addresses.forEach(function (address, i) {
+			if (replies[i]) banAddress(address, stats[address], replies[i][0], replies[i][1]);
+		});
+	});
+}
+
+/**
+ * Ban a wallet address on every fork for its invalid shares ratio
+ **/
+function banAddress (address, stats, invalidShares, validShares) {
+	let settings = config.poolServer.addressBanning;
+	log('warn', logSystem, 'Banned address %s (%d invalid / %d valid shares)', [address, invalidShares, validShares]);
+	let ban = bans.createAddressBan(address, 'Invalid shares ratio exceeded', stats.source || 'invalidShares', settings.time);
+	applyAddressBan(ban);
+	webhooks.send('minerBanned', {
+		type: 'address',
+		login: stats.login,
+		address: address,
+		reason: ban.reason,
+		source: ban.source,
+		expires: ban.expires
+	});
+	bans.saveAddressBan(ban, function (error) {
+		if (error) {
+			log('error', logSystem, 'Could not store ban for address %s: %j', [ban.address, error]);
+		}
+		process.send({
+			type: 'banAddress',
+			ban: ban
+		});
+	});
+}
+
+/**
+ * Load the login deny/allow lists and the wallet address bans from redis
+ **/
+function loadLoginRules () {
+	bans.loginRules(function (error, rules) {
+		if (error) {
+			log('error', logSystem, 'Could not load login rules from redis: %j', [error]);
+			return;
+		}
+		loginRules = rules;
+	});
+	bans.listAddressBans(function (error, list) {
+		if (error) {
+			log('error', logSystem, 'Could not load address bans from redis: %j', [error]);
+			return;
+		}
+		bannedAddresses = {};
+		list.forEach(applyAddressBan);
+	});
+}
+
+/**
+ * Load the active bans from redis
+ **/
+function loadBans (callback) {
+	bans.list(function (error, list) {
+		if (error) {
+			log('error', logSystem, 'Could not load bans from redis: %j', [error]);
+		} else {
+			let active = {};
+			list.forEach(function (ban) {
+				active[ban.ip] = ban;
+			});
+			for (let ip in bannedIPs) {
+				if (!active[ip]) liftBan(ip);
+			}
+			list.forEach(applyBan);
+		}
+		if (callback) callback();
+	});
+}
+
+/**
+ * Return the PPLNS window size (sum of share difficulty) for the given network difficulty
+ **/
+function getPplnsWindow (networkDifficulty) {
+	let settings = config.poolServer.pplns;
+	if (settings.windowType === 'shares') {
+		return settings.windowSize;
+	}
+	return settings.windowSize * networkDifficulty;
+}
+
+// Push a share onto the PPLNS window and drop the oldest shares that fall outside of it.
+// Entries are stored as "difficulty:login:timestamp", newest first.
+let pplnsPushScript = `
+	redis.call('lpush', KEYS[1], ARGV[1])
+	local total = tonumber(redis.call('incrbyfloat', KEYS[2], ARGV[2]))
+	local window = tonumber(ARGV[3])
+	while true do
+		local tail = redis.call('lindex', KEYS[1], -1)
+		if not tail then break end
+		local tailDiff = tonumber(string.match(tail, '^([^:]+)'))
+		if total - tailDiff < window then break end
+		redis.call('rpop', KEYS[1])
+		total = tonumber(redis.call('incrbyfloat', KEYS[2], -tailDiff))
+	end
+	return tostring(total)
+`;
+
+// Aggregate the current PPLNS window into a per-login score hash for the found block
+let pplnsSnapshotScript = `
+	local shares = redis.call('lrange', KEYS[1], 0, -1)
+	local scores = {}
+	for i = 1, #shares do
+		local diff, login = string.match(shares[i], '^([^:]+):([^:]+)')
+		scores[login] = (scores[login] or 0) + tonumber(diff)
+	end
+	for login, score in pairs(scores) do
+		redis.call('hincrbyfloat', KEYS[2], login, string.format('%.17g', score))
+	end
+	return #shares
+`;
+
+/**
+ * Return the PPS credit (in atomic units) for a share of the given difficulty
+ **/
+let ppsNoRewardHeight = null;
+
+function getPpsCredit (shareDifficulty, blockTemplate) {
+	let settings = config.poolServer.pps;
+	let expectedReward = blockTemplate.reward || settings.blockReward || 0;
+	if (!expectedReward && ppsNoRewardHeight !== blockTemplate.height) {
+		// Logged once per template, PPS shares earn nothing until a reward is known
+		ppsNoRewardHeight = blockTemplate.height;
+		log('warn', logSystem, 'Block template %d has no reward and poolServer.pps.blockReward is not set, PPS shares are credited 0', [blockTemplate.height]);
+	}
+	let fee = (settings.fee >= 0 ? settings.fee : (config.blockUnlocker.poolFee > 0 ? config.blockUnlocker.poolFee : 0)) / 100;
+	let expected = shareDifficulty / blockTemplate.difficulty * expectedReward;
+	return {
+		expected: expected,
+		credit: Math.floor(expected * (1 - fee))
+	};
 }
 
 function recordShareData (miner, job, shareDiff, blockCandidate, hashHex, shareType, blockTemplate) {
@@ -763,8 +1323,30 @@ function recordShareData (miner, job, shareDiff, blockCandidate, hashHex, shareT
 	let workerName = miner.workerName;
 	let rewardType = miner.rewardType;
 	let updateScore;
-	// Weighting older shares lower than newer ones to prevent pool hopping
-	if (slushMiningEnabled) {
+	let ppsCommands = [];
+	// Slush scores are computed by an eval script, only known once the commands ran
+	let slushScoring = false;
+	if (rewardType === 'pplns') {
+		// PPLNS scores live in the sliding share window instead of the current round
+		job.score = job.difficulty;
+		let networkDifficulty = blockTemplate ? blockTemplate.difficulty : currentBlockTemplate[0].difficulty;
+		updateScore = ['eval', pplnsPushScript,
+			2 /*keys*/ , `${coin}:pplns:window`, `${coin}:pplns:windowTotal`,
+			/* args */
+			[job.difficulty, login, dateNowSeconds].join(':'), job.difficulty, getPplnsWindow(networkDifficulty)
+		];
+	} else if (rewardType === 'pps') {
+		// PPS shares are paid right away, the pool reserve takes the block reward instead
+		job.score = job.difficulty;
+		let pps = getPpsCredit(job.difficulty, blockTemplate || currentBlockTemplate[0]);
+		updateScore = ['hincrby', `${coin}:workers:${login}`, 'balance', pps.credit];
+		ppsCommands = [
+			['hincrbyfloat', `${coin}:pps:reserve`, 'expected', pps.expected],
+			['hincrby', `${coin}:pps:reserve`, 'credited', pps.credit]
+		];
+	} else if (slushMiningEnabled) {
+		// Weighting older shares lower than newer ones to prevent pool hopping
+		slushScoring = true;
 		// We need to do this via an eval script because we need fetching the last block time and
 		// calculating the score to run in a single transaction (otherwise we could have a race
 		// condition where a block gets discovered between the time we look up lastBlockFound and
@@ -792,22 +1374,47 @@ function recordShareData (miner, job, shareDiff, blockCandidate, hashHex, shareT
 		['hset', `${coin}:workers:${login}`, 'lastShare', dateNowSeconds],
 		['expire', `${coin}:workers:${login}`, (86400 * cleanupInterval)],
 		['expire', `${coin}:payments:${login}`, (86400 * cleanupInterval)]
-	];
+	].concat(ppsCommands);
+
+	// Journal the share right after its score so block entries mark the round boundaries
+	let journalEntry = null;
+	if (shareJournal.enabled()) {
+		journalEntry = {
+			height: job_height,
+			login: login,
+			worker: workerName || '',
+			difficulty: job.difficulty,
+			score: job.score,
+			time: dateNow,
+			type: shareType,
+			reward: rewardType,
+			block: blockCandidate ? 1 : 0
+		};
+		if (rewardType === 'pplns' && blockCandidate) {
+			journalEntry.window = getPplnsWindow(blockTemplate.difficulty);
+		}
+		if (!slushScoring) {
+			redisCommands.splice(1, 0, shareJournal.command(journalEntry));
+		}
+	}
 
 	if (workerName) {
 		redisCommands.push(['zadd', `${coin}:hashrate`, dateNowSeconds, [job.difficulty, login + '~' + workerName, dateNow, rewardType].join(':')]);
 		redisCommands.push(['hincrby', `${coin}:unique_workers:${login}~${workerName}`, 'hashes', job.difficulty]);
 		redisCommands.push(['hset', `${coin}:unique_workers:${login}~${workerName}`, 'lastShare', dateNowSeconds]);
 		redisCommands.push(['hset', `${coin}:unique_workers:${login}~${workerName}`, 'rewardType', rewardType]);
+		redisCommands.push(['hincrby', `${coin}:unique_workers:${login}~${workerName}`, 'accepted', 1]);
+		redisCommands.push(['hmset', `${coin}:unique_workers:${login}~${workerName}`, 'difficulty', job.difficulty, 'avgShareTime', miner.shareTimeRing.avg().toFixed(1)]);
 		redisCommands.push(['expire', `${coin}:unique_workers:${login}~${workerName}`, (86400 * cleanupInterval)]);
 	}
 
 	if (blockCandidate) {
 		redisCommands.push(['hset', `${coin}:stats`, `lastBlockFound${rewardType}`, Date.now()]);
-		redisCommands.push(['rename', `${coin}:scores:prop:roundCurrent`, coin + ':scores:prop:round' + job_height]);
-		redisCommands.push(['rename', `${coin}:scores:solo:roundCurrent`, coin + ':scores:solo:round' + job_height]);
-		redisCommands.push(['rename', `${coin}:shares_actual:prop:roundCurrent`, `${coin}:shares_actual:prop:round${job_height}`]);
-		redisCommands.push(['rename', `${coin}:shares_actual:solo:roundCurrent`, `${coin}:shares_actual:solo:round${job_height}`]);
+		// Only the finder's round ends, the rounds of the other reward types keep going
+		if (rewardType === 'prop' || rewardType === 'solo') {
+			redisCommands.push(['rename', `${coin}:scores:${rewardType}:roundCurrent`, `${coin}:scores:${rewardType}:round${job_height}`]);
+		}
+		redisCommands.push(['rename', `${coin}:shares_actual:${rewardType}:roundCurrent`, `${coin}:shares_actual:${rewardType}:round${job_height}`]);
 		if (rewardType === 'prop') {
 			redisCommands.push(['hgetall', `${coin}:scores:prop:round${job_height}`]);
 			redisCommands.push(['hgetall', `${coin}:shares_actual:prop:round${job_height}`]);
@@ -816,6 +1423,14 @@ function recordShareData (miner, job, shareDiff, blockCandidate, hashHex, shareT
 			redisCommands.push(['hget', `${coin}:scores:solo:round${job_height}`, login]);
 			redisCommands.push(['hget', `${coin}:shares_actual:solo:round${job_height}`, login]);
 		}
+		if (rewardType === 'pplns') {
+			redisCommands.push(['eval', pplnsSnapshotScript, 2, `${coin}:pplns:window`, `${coin}:scores:pplns:round${job_height}`]);
+			redisCommands.push(['hgetall', `${coin}:scores:pplns:round${job_height}`]);
+			redisCommands.push(['hgetall', `${coin}:shares_actual:pplns:round${job_height}`]);
+		}
+		if (rewardType === 'pps') {
+			redisCommands.push(['hgetall', `${coin}:shares_actual:pps:round${job_height}`]);
+		}
 
 	}
 
@@ -826,15 +1441,25 @@ function recordShareData (miner, job, shareDiff, blockCandidate, hashHex, shareT
 				return;
 			}
 
-			if (slushMiningEnabled) {
+			if (slushScoring) {
 				job.score = parseFloat(replies[0][0]);
 				let age = parseFloat(replies[0][1]);
 				log('info', logSystem, 'Submitted score ' + job.score + ' for difficulty ' + job.difficulty + ' and round age ' + age + 's');
+				if (journalEntry) {
+					journalEntry.score = job.score;
+					redisClient.xadd(shareJournal.command(journalEntry).slice(1), function (error) {
+						if (error) log('error', logSystem, 'Failed to journal share %j', [error]);
+					});
+				}
 			}
 
 			if (blockCandidate) {
 				let workerScores = replies[replies.length - 2];
 				let workerShares = replies[replies.length - 1];
+				if (rewardType === 'pps') {
+					// PPS rounds have no scores, the shares are what the miners were paid for
+					workerScores = workerShares;
+				}
 				let totalScore = 0;
 				let totalShares = 0;
 				let minerScore = 0; // Individual miner's score for PPLNS calculation
@@ -843,7 +1468,7 @@ function recordShareData (miner, job, shareDiff, blockCandidate, hashHex, shareT
 					totalShares = workerShares
 					minerScore = workerScores
 				}
-				if (rewardType === 'prop') {
+				if (rewardType === 'prop' || rewardType === 'pplns' || rewardType === 'pps') {
 					// Get the individual miner's score from the worker scores
 					minerScore = workerScores && workerScores[login] ? parseFloat(workerScores[login]) : 0;
 
@@ -861,7 +1486,7 @@ function recordShareData (miner, job, shareDiff, blockCandidate, hashHex, shareT
 					// Group scores by address (aggregate workers for same address)
 					let addressScores = {};
 					Object.keys(workerScores).forEach(worker => {
-						let address = worker.split('.')[0]; // Extract address part
+						let address = loginParser.parseStored(worker).address;
 						if (!addressScores[address]) {
 							addressScores[address] = 0;
 						}
@@ -891,18 +1516,31 @@ function recordShareData (miner, job, shareDiff, blockCandidate, hashHex, shareT
 					}
 				});
 
-// 				notifications.sendToAll('blockFound', {
-// 					'HEIGHT': job_height,
-// 					'HASH': hashHex,
-// 					'DIFFICULTY': blockTemplate.difficulty,
-// 					'SHARES': totalShares,
-// 					'MINER': login.substring(0, 7) + '...' + login.substring(login.length - 7)
-// 				});
+				notifications.sendToAll('blockFound', {
+					'HEIGHT': job_height,
+					'HASH': hashHex,
+					'DIFFICULTY': blockTemplate.difficulty,
+					'SHARES': totalShares,
+					'MINER': login.substring(0, 7) + '...' + login.substring(login.length - 7)
+				});
+				webhooks.send('blockFound', {
+					height: job_height,
+					hash: hashHex,
+					rewardType: rewardType,
+					miner: login,
+					worker: workerName,
+					difficulty: blockTemplate.difficulty,
+					shares: totalShares
+				});
 			}
 
 		});
 
-	log('info', logSystem, 'Accepted %s share at difficulty %d/%d from %s@%s', [shareType, job.difficulty, shareDiff, login, miner.ip]);
+	log('info', logSystem, 'Accepted %s share at difficulty %d/%d from %s@%s', [shareType, job.difficulty, shareDiff, login, miner.ip], {
+		login: login,
+		ip: miner.ip,
+		height: job.height
+	});
 }
 
 function getShareBuffer (miner, job, blockTemplate, params) {
@@ -928,19 +1566,77 @@ function getShareBuffer (miner, job, blockTemplate, params) {
 	}
 }
 
+/**
+ * Count a rejected share by reason (staleJob, lowDifficulty, badHash, duplicate, malformedNonce
+ * or expiredTemplate) for the miner, its worker and the port it is connected to
+ **/
+function recordRejectedShare (miner, reason) {
+	rejectedSharesMetric.inc({
+		port: miner.port,
+		reason: reason
+	});
+	let coin = config.coin;
+	let redisCommands = [
+		['hincrby', `${coin}:rejects:${miner.login}`, reason, 1],
+		['expire', `${coin}:rejects:${miner.login}`, (86400 * cleanupInterval)],
+		['hincrby', `${coin}:rejects:port:${miner.port}`, reason, 1]
+	];
+	if (miner.workerName) {
+		redisCommands.push(['hincrby', `${coin}:rejects:${miner.login}~${miner.workerName}`, reason, 1]);
+		redisCommands.push(['expire', `${coin}:rejects:${miner.login}~${miner.workerName}`, (86400 * cleanupInterval)]);
+	}
+	redisClient.multi(redisCommands).exec(function (error) {
+		if (error) {
+			log('error', logSystem, 'Failed to record rejected share for %s: %j', [miner.login, error]);
+		}
+	});
+}
+
+/**
+ * Return the block template a job was cut from while it is retained, null once it expired.
+ * Templates of the current height always produce valid blocks, templates of the previous
+ * height are only kept for the stale shares grace period after the chain moved on.
+ **/
+function getJobTemplate (job) {
+	let blockTemplate = job.blockTemplate;
+	let current = currentBlockTemplate[0];
+	if (!current) return null;
+	if (blockTemplate !== current && validBlockTemplates[0].indexOf(blockTemplate) === -1) return null;
+	if (blockTemplate.height === current.height) return blockTemplate;
+	if (blockTemplate.height === current.height - 1 && Date.now() - templateHeightChangedAt <= staleSharesGrace) {
+		return blockTemplate;
+	}
+	return null;
+}
+
+/**
+ * Return the job to credit a stale share with, null if stale shares are not credited
+ **/
+function getStaleShareJob (job) {
+	if (staleShares.policy === 'none') return null;
+	if (staleShares.policy === 'partial') {
+		let credit = staleShares.partialCredit >= 0 && staleShares.partialCredit <= 1 ? staleShares.partialCredit : 0.5;
+		return Object.assign({}, job, {
+			difficulty: Math.floor(job.difficulty * credit)
+		});
+	}
+	return job;
+}
+
 /**
  * Process miner share data
  **/
 function processShare (miner, job, blockTemplate, params) {
 	let shareBuffer = getShareBuffer(miner, job, blockTemplate, params)
 	if (!shareBuffer) {
+		recordRejectedShare(miner, 'malformedNonce');
 		return false
 	}
 	let resultHash = params.result
 	let hash;
 	let shareType;
 
-	if (shareTrustEnabled && miner.trust.threshold <= 0 && miner.trust.penalty <= 0 && Math.random() > miner.trust.probability) {
+	if (shareTrustEnabled && resultHash && miner.trust.threshold <= 0 && miner.trust.penalty <= 0 && Math.random() > miner.trust.probability) {
 		hash = Buffer.from(resultHash, 'hex');
 		shareType = 'trusted';
 	} else {
@@ -959,8 +1655,9 @@ function processShare (miner, job, blockTemplate, params) {
 		shareType = 'valid'
 	}
 
-	if (hash.toString('hex') !== resultHash) {
+	if (resultHash && hash.toString('hex') !== resultHash) {
 		log('warn', logSystem, 'Bad hash from miner %s@%s', [miner.login, miner.ip]);
+		recordRejectedShare(miner, 'badHash');
 		return false;
 	}
 
@@ -969,7 +1666,10 @@ function processShare (miner, job, blockTemplate, params) {
 	let hashNum = bignum.fromBuffer(Buffer.from(hashArray));
 	let hashDiff = diff1.div(hashNum);
 
-	if (hashDiff.ge(blockTemplate.difficulty)) {
+	// The chain moved on, blocks on this template can't be submitted anymore
+	let isStale = blockTemplate.height !== currentBlockTemplate[0].height;
+
+	if (!isStale && hashDiff.ge(blockTemplate.difficulty)) {
 		// Mark this height as being processed to prevent race conditions with duplicate blocks
 		let processingKey = config.coin + ':blocks:processing:' + job.height;
 
@@ -997,14 +1697,19 @@ function processShare (miner, job, blockTemplate, params) {
 		return true;
 
 		function submitBlock() {
-			apiInterfaces.rpcDaemon('submitblock', [shareBuffer.toString('hex')], function (error, result) {
+			submitBlockToDaemons(shareBuffer.toString('hex'), function (error, result) {
 			if (error) {
 				log('error', logSystem, 'Error submitting block at height %d from %s@%s, share type: "%s" - %j', [job.height, miner.login, miner.ip, shareType, error]);
 			} else {
 			    let blockFastHash = utils.cnUtil.get_block_id(shareBuffer, cnBlobType).toString('hex');
 				log('info', logSystem,
 					'Block %s found at height %d by miner %s@%s - submit result: %j',
-					[blockFastHash.substr(0, 6), job.height, miner.login, miner.ip, result]
+					[blockFastHash.substr(0, 6), job.height, miner.login, miner.ip, result], {
+						login: miner.login,
+						ip: miner.ip,
+						height: job.height,
+						hash: blockFastHash
+					}
 				);
 				// Pink success message for block submission
 				log('info', logSystem, '\x1b[38;5;213mBlock has been found and submitted to daemon with success!\x1b[0m', []);
@@ -1014,7 +1719,13 @@ function processShare (miner, job, blockTemplate, params) {
 		}
 	} else if (hashDiff.lt(job.difficulty)) {
 		log('warn', logSystem, 'Rejected low difficulty share of %s from %s@%s', [hashDiff.toString(), miner.login, miner.ip]);
+		recordRejectedShare(miner, 'lowDifficulty');
 		return false;
+	} else if (isStale) {
+		let staleJob = getStaleShareJob(job);
+		if (staleJob) {
+			recordShareData(miner, staleJob, hashDiff.toString(), false, null, shareType, null);
+		}
 	} else {
 		recordShareData(miner, job, hashDiff.toString(), false, null, shareType, null);
 	}
@@ -1022,11 +1733,94 @@ function processShare (miner, job, blockTemplate, params) {
 	return true;
 }
 
+/**
+ * Submit a block to the daemon serving templates, failing over to the other healthy daemons.
+ * With daemon.submitToAll the block goes to every healthy daemon at once.
+ **/
+function submitBlockToDaemons (blob, callback) {
+	let daemons = blockDaemons.length > 0 ? blockDaemons : [config.daemon];
+
+	if (config.daemon.submitToAll && daemons.length > 1) {
+		async.map(daemons, function (daemon, daemonCallback) {
+			apiInterfaces.rpcDaemon('submitblock', [blob], function (error, result) {
+				if (error) {
+					log('warn', logSystem, 'Daemon %s:%d rejected block submission - %j', [daemon.host, daemon.port, error]);
+				}
+				daemonCallback(null, {
+					error: error,
+					result: result
+				});
+			}, daemon);
+		}, function (error, results) {
+			let accepted = results.filter(r => !r.error);
+			if (accepted.length === 0) {
+				callback(results[0].error);
+				return;
+			}
+			callback(null, accepted[0].result);
+		});
+		return;
+	}
+
+	let submitTo = function (index) {
+		let daemon = daemons[index];
+		apiInterfaces.rpcDaemon('submitblock', [blob], function (error, result) {
+			// Only fail over on connection errors, a rejected block would be rejected everywhere
+			if (error instanceof Error && index + 1 < daemons.length) {
+				log('warn', logSystem, 'Could not submit block to daemon %s:%d, trying the next one - %j', [daemon.host, daemon.port, error]);
+				submitTo(index + 1);
+				return;
+			}
+			callback(error, result);
+		}, daemon);
+	};
+	submitTo(0);
+}
+
 /**
  * Start pool server on TCP ports
  **/
 let httpResponse = ' 200 OK\nContent-Type: text/plain\nContent-Length: 20\n\nMining server online';
 
+/**
+ * Return TLS options for a SSL port, or null if SSL is not configured properly
+ **/
+function getSslOptions (portData) {
+	if (!config.poolServer.sslCert) {
+		log('error', logSystem, 'Could not start server listening on port %d (SSL): SSL certificate not configured', [portData.port]);
+		return null;
+	} else if (!config.poolServer.sslKey) {
+		log('error', logSystem, 'Could not start server listening on port %d (SSL): SSL key not configured', [portData.port]);
+		return null;
+	} else if (!fs.existsSync(config.poolServer.sslCert)) {
+		log('error', logSystem, 'Could not start server listening on port %d (SSL): SSL certificate file not found (configuration error)', [portData.port]);
+		return null;
+	} else if (!fs.existsSync(config.poolServer.sslKey)) {
+		log('error', logSystem, 'Could not start server listening on port %d (SSL): SSL key file not found (configuration error)', [portData.port]);
+		return null;
+	}
+
+	let options = {
+		key: fs.readFileSync(config.poolServer.sslKey),
+		cert: fs.readFileSync(config.poolServer.sslCert),
+	};
+
+	if (config.poolServer.sslCA && fs.existsSync(config.poolServer.sslCA)) {
+		options.ca = fs.readFileSync(config.poolServer.sslCA)
+	}
+	return options;
+}
+
+/**
+ * Return the transport label of a port, as reported in the ports stats
+ **/
+function getPortTransport (portData) {
+	if (portData.websocket) {
+		return portData.ssl ? 'wss' : 'ws';
+	}
+	return portData.ssl ? 'tls' : 'tcp';
+}
+
 function startPoolServerTcp (callback) {
 	if (process.env.forkId === "1") {
 		log('info', logSystem, 'Clear values for connected workers in redis database.');
@@ -1035,6 +1829,14 @@ function startPoolServerTcp (callback) {
 
 	async.each(config.poolServer.ports, function (portData, cback) {
 		let handleMessage = function (socket, jsonData, pushMessage) {
+			if (portData.protocol === 'ethstratum') {
+				if (jsonData.id === undefined || !jsonData.method) {
+					log('warn', logSystem, 'Stratum request missing id or method');
+					return;
+				}
+				handleEthStratumMessage(socket, jsonData, portData);
+				return;
+			}
 			if (!jsonData.id) {
 				log('warn', logSystem, 'Miner RPC request missing RPC id');
 				return;
@@ -1066,6 +1868,7 @@ function startPoolServerTcp (callback) {
 		let socketResponder = function (socket) {
 			socket.setKeepAlive(true);
 			socket.setEncoding('utf8');
+			socket.stratumSession = {};
 
 			let dataBuffer = '';
 
@@ -1084,6 +1887,7 @@ function startPoolServerTcp (callback) {
 					if (Buffer.byteLength(dataBuffer, 'utf8') > 10240) { //10KB
 						dataBuffer = null;
 						log('warn', logSystem, 'Socket flooding detected and prevented from %s', [socket.remoteAddress]);
+						if (banningEnabled) banIp(socket.remoteAddress, 'Socket flooding', 'flood');
 						socket.destroy();
 						return;
 					}
@@ -1131,29 +1935,111 @@ function startPoolServerTcp (callback) {
 				});
 		};
 
-		if (portData.ssl) {
-			if (!config.poolServer.sslCert) {
-				log('error', logSystem, 'Could not start server listening on port %d (SSL): SSL certificate not configured', [portData.port]);
-				cback(true);
-			} else if (!config.poolServer.sslKey) {
-				log('error', logSystem, 'Could not start server listening on port %d (SSL): SSL key not configured', [portData.port]);
-				cback(true);
-			} else if (!fs.existsSync(config.poolServer.sslCert)) {
-				log('error', logSystem, 'Could not start server listening on port %d (SSL): SSL certificate file not found (configuration error)', [portData.port]);
-				cback(true);
-			} else if (!fs.existsSync(config.poolServer.sslKey)) {
-				log('error', logSystem, 'Could not start server listening on port %d (SSL): SSL key file not found (configuration error)', [portData.port]);
-				cback(true);
-			} else {
-				let options = {
-					key: fs.readFileSync(config.poolServer.sslKey),
-					cert: fs.readFileSync(config.poolServer.sslCert),
-				};
+		// WebSocket connections carry the same JSON-RPC messages, one per frame
+		let webSocketResponder = function (ws, request) {
+			let socket = {
+				remoteAddress: request.socket.remoteAddress,
+				stratumSession: {},
+				write: function (data) {
+					ws.send(data);
+				}
+			};
+			Object.defineProperty(socket, 'writable', {
+				get: function () {
+					return ws.readyState === WebSocket.OPEN;
+				}
+			});
+
+			let pushMessage = function (method, params) {
+				if (!socket.writable) return;
+				socket.write(JSON.stringify({
+					jsonrpc: "2.0",
+					method: method,
+					params: params
+				}) + "\n");
+			};
 
-				if (config.poolServer.sslCA && fs.existsSync(config.poolServer.sslCA)) {
-					options.ca = fs.readFileSync(config.poolServer.sslCA)
+			ws.on('message', function (message) {
+					let jsonData;
+					try {
+						jsonData = JSON.parse(message);
+					} catch (e) {
+						log('warn', logSystem, 'Malformed message from %s: %s', [socket.remoteAddress, message]);
+						ws.terminate();
+						return;
+					}
+					try {
+						handleMessage(socket, jsonData, pushMessage);
+					} catch (e) {
+						log('warn', logSystem, 'Malformed message from ' + socket.remoteAddress + ' generated an exception. Message: ' + message);
+						if (e.message) log('warn', logSystem, 'Exception: ' + e.message);
+					}
+				})
+				.on('error', function (err) {
+					if (err.code !== 'ECONNRESET')
+						log('warn', logSystem, 'WebSocket error from %s %j', [socket.remoteAddress, err]);
+				})
+				.on('close', function (code) {
+					// 1009: frame exceeded maxPayload
+					if (code === 1009) {
+						log('warn', logSystem, 'Socket flooding detected and prevented from %s', [socket.remoteAddress]);
+						if (banningEnabled) banIp(socket.remoteAddress, 'Socket flooding', 'flood');
+					}
+					pushMessage = function () {};
+				});
+		};
+
+		let transport = getPortTransport(portData);
+
+		if (portData.websocket) {
+			let httpHandler = function (request, response) {
+				response.writeHead(200, {
+					'Content-Type': 'text/plain'
+				});
+				response.end('Mining server online');
+			};
+
+			let server;
+			if (portData.ssl) {
+				let options = getSslOptions(portData);
+				if (!options) {
+					cback(true);
+					return;
 				}
+				server = https.createServer(options, httpHandler);
+			} else {
+				server = http.createServer(httpHandler);
+			}
+
+			// Frames larger than 10KB are treated as flooding, like on TCP ports
+			new WebSocket.Server({
+					server: server,
+					maxPayload: 10240
+				})
+				.on('connection', webSocketResponder);
+
+			server.on('error', function (error) {
+					log('error', logSystem, 'Could not start server listening on port %d (%s), error: %j', [portData.port, transport, error]);
+					cback(true);
+				})
+				.listen(portData.port, function () {
+					if (process.env.forkId === "1") {
+						log('info', logSystem, 'Clear values for %s port %d in redis database.', [transport, portData.port]);
+					}
+					redisClient.del(config.coin + ':ports:' + portData.port);
+					redisClient.hset(config.coin + ':ports:' + portData.port, 'port', portData.port);
+					redisClient.hset(config.coin + ':ports:' + portData.port, 'transport', transport);
 
+					if (process.env.forkId === "1") {
+						log('info', logSystem, 'Started server listening on port %d (%s)', [portData.port, transport]);
+					}
+					cback();
+				});
+		} else if (portData.ssl) {
+			let options = getSslOptions(portData);
+			if (!options) {
+				cback(true);
+			} else {
 				tls.createServer(options, socketResponder)
 					.listen(portData.port, function (error, result) {
 						if (error) {
@@ -1167,6 +2053,7 @@ function startPoolServerTcp (callback) {
 						}
 						redisClient.del(config.coin + ':ports:' + portData.port);
 						redisClient.hset(config.coin + ':ports:' + portData.port, 'port', portData.port);
+						redisClient.hset(config.coin + ':ports:' + portData.port, 'transport', transport);
 
 						if (process.env.forkId === "1") {
 							log('info', logSystem, 'Started server listening on port %d (SSL)', [portData.port]);
@@ -1188,6 +2075,7 @@ function startPoolServerTcp (callback) {
 					}
 					redisClient.del(config.coin + ':ports:' + portData.port);
 					redisClient.hset(config.coin + ':ports:' + portData.port, 'port', portData.port);
+					redisClient.hset(config.coin + ':ports:' + portData.port, 'transport', transport);
 
 					if (process.env.forkId === "1") {
 						log('info', logSystem, 'Started server listening on port %d', [portData.port]);
@@ -1208,6 +2096,14 @@ function startPoolServerTcp (callback) {
  * Initialize pool server
  **/
 
+// Load persisted bans so a new fork enforces them from its first connection
+loadBans();
+loadLoginRules();
+setInterval(loadLoginRules, (loginRulesConfig.reloadInterval || 30) * 1000);
+if (addressBanningEnabled) {
+	setInterval(flushAddressStats, addressStatsFlushInterval);
+}
+
 (function init (loop) {
 	async.waterfall([
 			function (callback) {
@@ -0,0 +1,176 @@
+/**
+ * Cryptonote Node.JS Pool
+ * https://github.com/dvandal/cryptonote-nodejs-pool
+ *
+ * Round replay: recompute the reward split of a matured block from the share journal
+ * and compare it with what the block unlocker credited
+ **/
+
+// Load required modules
+let async = require('async');
+
+let rewards = require('./rewards.js');
+let shareJournal = require('./shareJournal.js');
+
+// Initialize log system
+let logSystem = 'replay';
+
+/**
+ * Return the block height given with -height=N
+ **/
+function getHeightArgument () {
+	for (let i = 0; i < process.argv.length; i++) {
+		if (process.argv[i].indexOf('-height=') === 0) {
+			return parseInt(process.argv[i].split('=')[1]);
+		}
+	}
+	return NaN;
+}
+
+/**
+ * Collect the journal entries of the round (or PPLNS window) that ended with the block
+ **/
+function collectRound (block, callback) {
+	let blockEntry = null;
+	let entries = [];
+	let windowTotal = 0;
+
+	shareJournal.walkBackwards(function (entry) {
+		if (!blockEntry) {
+			if (entry.block === '1' && parseInt(entry.height) === block.height && entry.login === block.login) {
+				blockEntry = entry;
+				entries.push(entry);
+				windowTotal += parseFloat(entry.difficulty);
+			}
+			return true;
+		}
+
+		if (block.rewardType === 'pplns') {
+			// The window spans rounds, it is only bounded by its size
+			if (windowTotal >= parseFloat(blockEntry.window)) return false;
+		} else if (entry.block === '1') {
+			// Every block ends the current round of every reward type
+			return false;
+		}
+
+		if (entry.reward === block.rewardType) {
+			entries.push(entry);
+			windowTotal += parseFloat(entry.difficulty);
+		}
+		return true;
+	}, function (error, complete) {
+		if (error) {
+			callback(error);
+			return;
+		}
+		if (!blockEntry) {
+			callback('Block share not found in the share journal');
+			return;
+		}
+		callback(null, entries, complete);
+	});
+}
+
+async.waterfall([
+	function (callback) {
+		let height = getHeightArgument();
+		if (isNaN(height)) {
+			callback('Missing block height, usage: node init.js -module=replay -height=N');
+			return;
+		}
+		if (!shareJournal.enabled()) {
+			log('warn', logSystem, 'Share journal is disabled in the configuration, replaying from existing entries only');
+		}
+
+		redisClient.multi([
+			['zrangebyscore', `${config.coin}:blocks:matured`, height, height],
+			['hget', `${config.coin}:blocks:credits`, height]
+		]).exec(function (error, replies) {
+			if (error) {
+				callback(error);
+				return;
+			}
+			if (!replies[0] || replies[0].length === 0) {
+				callback(`No matured block at height ${height}`);
+				return;
+			}
+			let parts = replies[0][0].split(':');
+			let block = {
+				height: height,
+				rewardType: parts[0],
+				login: parts[1],
+				hash: parts[2],
+				shares: parts[5],
+				score: parts[6],
+				orphaned: parts[8],
+				reward: parseInt(parts[9])
+			};
+			if (block.orphaned === '1') {
+				callback(`Block ${height} was orphaned, nothing was credited`);
+				return;
+			}
+			callback(null, block, replies[1] ? JSON.parse(replies[1]) : null);
+		});
+	},
+	function (block, credited, callback) {
+		collectRound(block, function (error, entries, complete) {
+			if (error) {
+				callback(error);
+				return;
+			}
+			if (!complete) {
+				log('warn', logSystem, 'The share journal does not reach back to the start of the round, results are partial');
+			}
+			callback(null, block, credited, entries);
+		});
+	},
+	function (block, credited, entries, callback) {
+		let workerScores = {};
+		let totalScore = 0;
+		let totalShares = 0;
+		entries.forEach(function (entry) {
+			workerScores[entry.login] = (workerScores[entry.login] || 0) + parseFloat(entry.score);
+			totalScore += parseFloat(entry.score);
+			totalShares += parseInt(entry.difficulty);
+		});
+
+		log('info', logSystem, '%s block %d (%s) found by %s, reward %d', [block.rewardType.toUpperCase(), block.height, block.hash, block.login, block.reward]);
+		log('info', logSystem, 'Journal: %d shares, %d total difficulty, %d total score (recorded: %d shares, %d score)', [entries.length, totalShares, totalScore, block.shares, block.score]);
+
+		let split = rewards.getBlockPayments({
+			rewardType: block.rewardType,
+			login: block.login,
+			reward: block.reward,
+			score: totalScore,
+			workerScores: workerScores
+		});
+
+		if (block.rewardType === 'pps') {
+			log('info', logSystem, 'PPS block, the pool reserve was credited %d and miners were paid per share', [split.reward]);
+			callback(null);
+			return;
+		}
+		if (!credited) {
+			log('warn', logSystem, 'No credits were recorded for block %d, showing the replayed split only', [block.height]);
+			credited = {};
+		}
+
+		let mismatches = 0;
+		let workers = Object.keys(split.payments).concat(Object.keys(credited).filter(function (worker) {
+			return !split.payments[worker];
+		}));
+		workers.forEach(function (worker) {
+			let replayed = split.payments[worker] || 0;
+			let paid = credited[worker] || 0;
+			if (replayed !== paid) mismatches++;
+			log(replayed !== paid ? 'warn' : 'info', logSystem, '%s replayed %d credited %d difference %d', [worker, replayed, paid, replayed - paid]);
+		});
+		log(mismatches ? 'warn' : 'info', logSystem, 'Replay of block %d done, %d mismatching credits', [block.height, mismatches]);
+		callback(null);
+	}
+], function (error) {
+	if (error) {
+		log('error', logSystem, 'Replay failed: %s', [error]);
+	}
+	process.exit(error ? 1 : 0);
+});
@@ -0,0 +1,59 @@
+/**
+ * Cryptonote Node.JS Pool
+ * https://github.com/dvandal/cryptonote-nodejs-pool
+ *
+ * Block reward split (shared by the block unlocker and the replay tool)
+ **/
+
+/**
+ * Split the reward of an unlocked block between donations, the block finder and the miners.
+ * block.workerScores holds the round scores, block.score the total score.
+ **/
+exports.getBlockPayments = function (block) {
+	let split = {
+		feePercent: (config.blockUnlocker.poolFee > 0 ? config.blockUnlocker.poolFee : 0) / 100,
+		finderPercent: 0,
+		finderReward: 0,
+		reward: 0,
+		donations: {},
+		payments: {}
+	};
+	if (block.rewardType === 'solo') {
+		split.feePercent = (config.blockUnlocker.soloFee >= 0 ? config.blockUnlocker.soloFee : (config.blockUnlocker.poolFee > 0 ? config.blockUnlocker.poolFee : 0)) / 100;
+	}
+	if (block.rewardType === 'pps') {
+		// The PPS fee was already taken when the shares were credited
+		split.feePercent = 0;
+	}
+	for (let wallet in donations) {
+		let percent = donations[wallet] / 100;
+		split.feePercent += percent;
+		split.donations[wallet] = Math.round(block.reward * percent);
+	}
+
+	if (block.rewardType === 'pps') {
+		// PPS shares were credited when submitted, so the block reward goes to the pool reserve
+		split.reward = Math.round(block.reward - (block.reward * split.feePercent));
+		return split;
+	}
+	if (block.rewardType === 'solo') {
+		split.reward = Math.round(block.reward - (block.reward * split.feePercent));
+	} else {
+		split.finderPercent = (config.blockUnlocker.finderReward > 0 ? config.blockUnlocker.finderReward : 0) / 100;
+		split.finderReward = Math.round(block.reward * split.finderPercent);
+		split.reward = Math.round(block.reward - (block.reward * (split.feePercent + split.finderPercent)));
+	}
+
+	if (block.workerScores) {
+		if (block.rewardType === 'solo') {
+			split.payments[block.login] = split.reward;
+		} else {
+			let totalScore = parseFloat(block.score);
+			Object.keys(block.workerScores).forEach(function (worker) {
+				let workerReward = Math.round(split.reward * (block.workerScores[worker] / totalScore));
+				split.payments[worker] = block.login === worker ? workerReward + split.finderReward : workerReward;
+			});
+		}
+	}
+	return split;
+}
@@ -0,0 +1,119 @@
+/**
+ * Cryptonote Node.JS Pool
+ * https://github.com/dvandal/cryptonote-nodejs-pool
+ *
+ * Append-only share journal (redis stream)
+ **/
+
+// Stream holding one entry per accepted share, block candidates are flagged with block=1
+let journalKey = `${config.coin}:shares:journal`;
+
+// Hash holding what each miner was credited per unlocked block, kept while the block's round is in the journal
+let creditsKey = `${config.coin}:blocks:credits`;
+
+/**
+ * Return if the share journal is enabled
+ **/
+exports.enabled = function () {
+	return !!(config.shareJournal && config.shareJournal.enabled);
+}
+
+/**
+ * Return the redis command appending a share to the journal.
+ * Sent in the same transaction as the round scores so block entries mark round boundaries exactly.
+ **/
+exports.command = function (entry) {
+	let command = ['xadd', journalKey, 'MAXLEN', '~', config.shareJournal.maxLength || 5000000, '*'];
+	for (let field in entry) {
+		if (typeof entry[field] === 'undefined' || entry[field] === null) continue;
+		command.push(field, entry[field]);
+	}
+	return command;
+}
+
+/**
+ * Walk the journal from the newest entry backwards. The iterator is called with each
+ * entry and returns false to stop, the callback receives whether the walk was stopped.
+ **/
+exports.walkBackwards = function (iterator, callback) {
+	let end = '+';
+	let pageSize = 1000;
+	let next = function () {
+		redisClient.xrevrange(journalKey, end, '-', 'COUNT', pageSize, function (error, entries) {
+			if (error) {
+				callback(error);
+				return;
+			}
+			for (let i = 0; i < entries.length; i++) {
+				if (iterator(parseEntry(entries[i])) === false) {
+					callback(null, true);
+					return;
+				}
+			}
+			if (entries.length < pageSize) {
+				callback(null, false);
+				return;
+			}
+			end = previousId(entries[entries.length - 1][0]);
+			next();
+		});
+	};
+	next();
+}
+
+/**
+ * Return the redis command recording what each miner was credited for an unlocked block, the replay tool diffs against it
+ **/
+exports.creditsCommand = function (height, credits) {
+	return ['hset', creditsKey, height, JSON.stringify(credits)];
+}
+
+/**
+ * Remove the credits of the blocks older than the oldest share left in the journal,
+ * their rounds can't be replayed anymore once the journal was trimmed past them
+ **/
+exports.trimCredits = function (callback) {
+	redisClient.multi([
+		['xrange', journalKey, '-', '+', 'COUNT', 1],
+		['hkeys', creditsKey]
+	]).exec(function (error, replies) {
+		if (error) {
+			callback(error);
+			return;
+		}
+		let oldest = replies[0].length > 0 ? parseInt(parseEntry(replies[0][0]).height) : Infinity;
+		let trimmed = replies[1].filter(height => parseInt(height) < oldest);
+		if (trimmed.length === 0) {
+			callback(null, 0);
+			return;
+		}
+		redisClient.hdel([creditsKey].concat(trimmed), function (error) {
+			callback(error, trimmed.length);
+		});
+	});
+}
+
+/**
+ * Return a journal entry as an object of its fields and its stream id
+ **/
+function parseEntry (rawEntry) {
+	let fields = rawEntry[1];
+	let entry = {
+		id: rawEntry[0]
+	};
+	for (let j = 0; j < fields.length; j += 2) {
+		entry[fields[j]] = fields[j + 1];
+	}
+	return entry;
+}
+
+/**
+ * Return the stream id right before the given one (XREVRANGE ranges are inclusive)
+ **/
+function previousId (id) {
+	let parts = id.split('-');
+	if (parts[1] !== '0') {
+		return parts[0] + '-' + (BigInt(parts[1]) - BigInt(1)).toString();
+	}
+	return (BigInt(parts[0]) - BigInt(1)).toString() + '-18446744073709551615';
+}
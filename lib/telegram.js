@@ -0,0 +1,127 @@
+/**
+ * Cryptonote Node.JS Pool
+ * https://github.com/dvandal/cryptonote-nodejs-pool
+ *
+ * Telegram messages and chat subscriptions (shared by the bot worker and the notifications)
+ **/
+
+// Load required modules
+let TelegramBot = require('node-telegram-bot-api');
+
+// Initialize log system
+let logSystem = 'telegram';
+
+let telegramConfig = config.telegram || {};
+let sender = null;
+
+// Chat ids subscribed to a miner address, addresses subscribed by a chat, chats with at least one subscription
+let addressKey = `${config.coin}:telegram:address`;
+let chatKey = `${config.coin}:telegram:chat`;
+let chatsKey = `${config.coin}:telegram:chats`;
+
+/**
+ * Return if the Telegram bot is enabled
+ **/
+exports.enabled = function () {
+	return !!(telegramConfig.enabled && telegramConfig.token);
+}
+
+/**
+ * Send a message to a chat or channel. Processes other than the bot worker send through a bot without polling.
+ **/
+exports.sendMessage = function (chatId, message, callback) {
+	if (!exports.enabled()) {
+		if (callback) callback('Telegram is disabled');
+		return;
+	}
+	if (!sender) sender = new TelegramBot(telegramConfig.token, {
+		polling: false
+	});
+
+	sender.sendMessage(chatId, message, {
+			disable_web_page_preview: true
+		})
+		.then(function () {
+			if (callback) callback(null);
+		})
+		.catch(function (error) {
+			log('error', logSystem, 'Unable to send Telegram message to %s: %s', [chatId, error.message]);
+			if (callback) callback(error.message);
+		});
+}
+
+/**
+ * Subscribe a chat to the alerts of a miner address. Authorised like the email notifications:
+ * the address must have mined from the given IP, callback receives whether it did.
+ **/
+exports.subscribe = function (chatId, address, ip, callback) {
+	// Miner IPv4 addresses are stored as IPv4-mapped IPv6 addresses
+	if (/^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(ip)) {
+		ip = '::ffff:' + ip;
+	}
+	redisClient.sismember(`${config.coin}:workers_ip:${address}`, ip, function (error, found) {
+		if (error || !found) {
+			callback(error, false);
+			return;
+		}
+		redisClient.multi([
+			['sadd', `${addressKey}:${address}`, chatId],
+			['sadd', `${chatKey}:${chatId}`, address],
+			['sadd', chatsKey, chatId]
+		]).exec(function (error) {
+			callback(error, !error);
+		});
+	});
+}
+
+/**
+ * Unsubscribe a chat from the alerts of a miner address, or from all of them without an address
+ **/
+exports.unsubscribe = function (chatId, address, callback) {
+	exports.getChatAddresses(chatId, function (error, addresses) {
+		if (error) {
+			callback(error);
+			return;
+		}
+		let removed = address ? addresses.filter(a => a === address) : addresses;
+		if (removed.length === 0) {
+			callback(null, removed);
+			return;
+		}
+		let redisCommands = removed.map(a => ['srem', `${addressKey}:${a}`, chatId]);
+		redisCommands.push(['srem', `${chatKey}:${chatId}`].concat(removed));
+		if (removed.length === addresses.length) {
+			redisCommands.push(['srem', chatsKey, chatId]);
+		}
+		redisClient.multi(redisCommands).exec(function (error) {
+			callback(error, removed);
+		});
+	});
+}
+
+/**
+ * Return the miner addresses a chat is subscribed to
+ **/
+exports.getChatAddresses = function (chatId, callback) {
+	redisClient.smembers(`${chatKey}:${chatId}`, function (error, addresses) {
+		callback(error, addresses || []);
+	});
+}
+
+/**
+ * Return the chats subscribed to a miner address
+ **/
+exports.getAddressChats = function (address, callback) {
+	redisClient.smembers(`${addressKey}:${address}`, function (error, chats) {
+		callback(error, chats || []);
+	});
+}
+
+/**
+ * Return every chat with at least one subscription
+ **/
+exports.getChats = function (callback) {
+	redisClient.smembers(chatsKey, function (error, chats) {
+		callback(error, chats || []);
+	});
+}
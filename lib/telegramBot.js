@@ -0,0 +1,231 @@
+/**
+ * Cryptonote Node.JS Pool
+ * https://github.com/dvandal/cryptonote-nodejs-pool
+ *
+ * Telegram bot (pool statistics and per-address alert subscriptions)
+ **/
+
+// Load required modules
+let TelegramBot = require('node-telegram-bot-api');
+
+let apiInterfaces = require('./apiInterfaces.js')(config.daemon, config.wallet, config.api);
+let telegram = require('./telegram.js');
+let utils = require('./utils.js');
+let loginParser = require('./login.js');
+
+// Initialize log system
+let logSystem = 'telegramBot';
+require('./exceptionWriter.js')(logSystem);
+
+let telegramConfig = config.telegram || {};
+
+// Number of blocks and payments listed by /blocks and /payments
+let listSize = 5;
+
+let helpMessage = [
+	`${config.coin} pool bot`,
+	'',
+	'/stats - Pool statistics',
+	'/blocks - Last blocks found by the pool',
+	'/hashrate <address> - Hashrate of an address and its workers',
+	'/payments <address> - Last payments to an address',
+	'/subscribe <address> <IP> - Worker offline, payment and block alerts for an address, the IP is one your miners connect from',
+	'/unsubscribe [address] - Stop the alerts of an address, or of all of them',
+	'/subscriptions - Addresses this chat is subscribed to'
+].join('\n');
+
+/**
+ * Format a timestamp (seconds)
+ **/
+function formatTime (timestamp) {
+	return utils.dateFormat(new Date(timestamp * 1000), 'yyyy-mm-dd HH:MM');
+}
+
+/**
+ * Parse and validate the address argument of a command, replies with an error and returns null if it is invalid
+ **/
+function getAddress (chatId, argument) {
+	if (!argument) {
+		bot.sendMessage(chatId, 'Please add your wallet address to the command');
+		return null;
+	}
+	let parsedLogin = loginParser.parse(argument.trim());
+	if (!utils.validateMinerAddress(parsedLogin.address)) {
+		bot.sendMessage(chatId, 'Invalid wallet address');
+		return null;
+	}
+	return parsedLogin.login;
+}
+
+/**
+ * Query the pool API, replies with an error and doesn't call back if it fails
+ **/
+function queryApi (chatId, path, callback) {
+	apiInterfaces.pool(path, function (error, data) {
+		if (error || !data || data.error) {
+			log('error', logSystem, 'API request %s failed: %s', [path, error ? (error.message || error) : (data && data.error)]);
+			bot.sendMessage(chatId, data && data.error === 'Not found' ? 'No data found for this address' : 'Unable to get the data, please try again later');
+			return;
+		}
+		callback(data);
+	});
+}
+
+/**
+ * Bot commands
+ **/
+let commands = {
+	start: function (chatId) {
+		bot.sendMessage(chatId, helpMessage);
+	},
+
+	help: function (chatId) {
+		bot.sendMessage(chatId, helpMessage);
+	},
+
+	stats: function (chatId) {
+		queryApi(chatId, '/stats', function (data) {
+			let pool = data.pool || {};
+			let network = data.network || {};
+			let lines = [
+				`${config.coin} pool statistics`,
+				'',
+				'Pool hashrate: ' + utils.getReadableHashRate(pool.hashrate || 0),
+				'Miners: ' + (pool.miners || 0) + ', workers: ' + (pool.workers || 0),
+				'Network difficulty: ' + (network.difficulty || 0) + ', height: ' + (network.height || 0)
+			];
+			if (pool.lastBlockFound) {
+				lines.push('Last block found: ' + formatTime(parseInt(pool.lastBlockFound) / 1000 | 0));
+			}
+			bot.sendMessage(chatId, lines.join('\n'));
+		});
+	},
+
+	blocks: function (chatId) {
+		queryApi(chatId, `/get_blocks?page=1&limit=${listSize}`, function (data) {
+			let blocks = data.blocks || [];
+			if (blocks.length === 0) {
+				bot.sendMessage(chatId, 'No blocks found yet');
+				return;
+			}
+			let lines = blocks.map(function (block) {
+				let line = `${block.height} - ${formatTime(block.timestamp)} - ${block.status}, effort ${block.effort}%`;
+				if (block.reward) line += ', ' + utils.getReadableCoins(block.reward);
+				return line;
+			});
+			bot.sendMessage(chatId, 'Last blocks found\n\n' + lines.join('\n'));
+		});
+	},
+
+	hashrate: function (chatId, argument) {
+		let address = getAddress(chatId, argument);
+		if (!address) return;
+		queryApi(chatId, `/stats_address?address=${encodeURIComponent(address)}`, function (data) {
+			let stats = data.stats || {};
+			let lines = [
+				'Hashrate: ' + utils.getReadableHashRate(stats.hashrate || 0),
+				'Balance: ' + utils.getReadableCoins(stats.balance),
+				'Paid: ' + utils.getReadableCoins(stats.paid)
+			];
+			let workers = data.workers || [];
+			if (workers.length > 0) {
+				lines.push('');
+				workers.forEach(function (worker) {
+					lines.push(`${worker.name}: ${utils.getReadableHashRate(worker.hashrate || 0)}`);
+				});
+			}
+			bot.sendMessage(chatId, lines.join('\n'));
+		});
+	},
+
+	payments: function (chatId, argument) {
+		let address = getAddress(chatId, argument);
+		if (!address) return;
+		queryApi(chatId, `/get_payments?address=${encodeURIComponent(address)}&page=1&limit=${listSize}`, function (data) {
+			let payments = data.payments || [];
+			if (payments.length === 0) {
+				bot.sendMessage(chatId, 'No payments sent to this address yet');
+				return;
+			}
+			let lines = payments.map(function (payment) {
+				return `${formatTime(payment.timestamp)} - ${utils.getReadableCoins(payment.amount)} (${payment.status || 'pending'})\n${payment.txHash}`;
+			});
+			bot.sendMessage(chatId, 'Last payments\n\n' + lines.join('\n'));
+		});
+	},
+
+	subscribe: function (chatId, argument) {
+		let parts = (argument || '').trim().split(/\s+/);
+		let address = getAddress(chatId, parts[0]);
+		if (!address) return;
+		if (!parts[1]) {
+			bot.sendMessage(chatId, 'Please add an IP address your miners connect from: /subscribe <address> <IP>');
+			return;
+		}
+		telegram.subscribe(chatId, address, parts[1], function (error, authorized) {
+			if (error) {
+				log('error', logSystem, 'Unable to subscribe chat %s to %s: %j', [chatId, address, error]);
+				bot.sendMessage(chatId, 'Unable to save the subscription, please try again later');
+				return;
+			}
+			if (!authorized) {
+				bot.sendMessage(chatId, 'This address has not mined from that IP address');
+				return;
+			}
+			log('info', logSystem, 'Chat %s subscribed to %s', [chatId, address]);
+			bot.sendMessage(chatId, 'You will receive worker offline, payment and block alerts for ' + address);
+		});
+	},
+
+	unsubscribe: function (chatId, argument) {
+		let address = null;
+		if (argument) {
+			address = getAddress(chatId, argument);
+			if (!address) return;
+		}
+		telegram.unsubscribe(chatId, address, function (error, removed) {
+			if (error) {
+				log('error', logSystem, 'Unable to unsubscribe chat %s: %j', [chatId, error]);
+				bot.sendMessage(chatId, 'Unable to remove the subscription, please try again later');
+				return;
+			}
+			log('info', logSystem, 'Chat %s unsubscribed from %d addresses', [chatId, removed.length]);
+			bot.sendMessage(chatId, removed.length > 0 ? 'Alerts stopped for ' + removed.join(', ') : 'This chat is not subscribed to that address');
+		});
+	},
+
+	subscriptions: function (chatId) {
+		telegram.getChatAddresses(chatId, function (error, addresses) {
+			if (error || addresses.length === 0) {
+				bot.sendMessage(chatId, 'This chat is not subscribed to any address');
+				return;
+			}
+			bot.sendMessage(chatId, 'Subscribed addresses\n\n' + addresses.join('\n'));
+		});
+	}
+};
+
+/**
+ * Start the bot
+ **/
+if (!telegram.enabled()) {
+	log('error', logSystem, 'Telegram bot is enabled without a token');
+	return;
+}
+
+let bot = new TelegramBot(telegramConfig.token, {
+	polling: true
+});
+
+// Commands may be addressed to the bot in groups (/stats@pool_bot)
+bot.onText(/^\/([a-z]+)(?:@\w+)?(?:\s+(.+))?$/, function (message, match) {
+	let command = commands[match[1]];
+	if (!command) return;
+	command(message.chat.id, match[2]);
+});
+
+bot.on('polling_error', function (error) {
+	log('error', logSystem, 'Polling error: %s', [error.message]);
+});
+
+log('info', logSystem, 'Started');
@@ -7,6 +7,7 @@
 
 // Load required module
 let crypto = require('crypto');
+let net = require('net');
 
 let dateFormat = require('dateformat');
 exports.dateFormat = dateFormat;
@@ -14,6 +15,8 @@ exports.dateFormat = dateFormat;
 let cnUtil = require('cryptoforknote-util');
 exports.cnUtil = cnUtil;
 
+let addressValidator = require('./address.js');
+
 /**
  * Generate random instance id
  **/
@@ -22,23 +25,10 @@ exports.instanceId = function () {
 }
 
 /**
- * Validate miner address
+ * Validate miner address (base58 decoding, prefix and checksum)
  **/
-// Validate miner address
 exports.validateMinerAddress = function (address) {
-	// Check address length
-	let expectedLength = config.poolServer.addressLength || 54;
-	if (address.length !== expectedLength) {
-		return false;
-	}
-
-	// Check address prefix
-	let expectedPrefix = config.poolServer.addressPrefix || null;
-	if (expectedPrefix && !address.startsWith(expectedPrefix)) {
-		return false;
-	}
-
-	return true;
+	return addressValidator.validate(address) !== false;
 }
 
 function characterCount (string, char) {
@@ -48,22 +38,73 @@ function characterCount (string, char) {
 }
 exports.characterCount = characterCount;
 
-exports.determineRewardData = (value) => {
-	let calculatedData = {
-		'address': value,
-		'rewardType': 'prop'
-	}
-	if (/^solo:/i.test(value)) {
-		calculatedData['address'] = value.substr(5)
-		calculatedData['rewardType'] = 'solo'
-		return calculatedData
+/**
+ * Strip the IPv4-mapped IPv6 prefix from an address
+ **/
+function normalizeIp (ip) {
+	return (ip || '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, '$1');
+}
+exports.normalizeIp = normalizeIp;
+
+/**
+ * Parse an IPv4/IPv6 address into its numeric value
+ **/
+function parseIp (ip) {
+	ip = normalizeIp(ip);
+	if (net.isIPv4(ip)) {
+		return {
+			size: 32,
+			value: ip.split('.').reduce(function (value, octet) {
+				return (value << BigInt(8)) + BigInt(parseInt(octet));
+			}, BigInt(0))
+		};
 	}
-	if (/^prop:/i.test(value)) {
-		calculatedData['address'] = value.substr(5)
-		calculatedData['rewardType'] = 'prop'
-		return calculatedData
+	if (net.isIPv6(ip)) {
+		// Expand an embedded IPv4 tail into two hextets
+		let v4 = ip.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+		if (v4) {
+			ip = ip.substr(0, ip.length - v4[0].length) +
+				((parseInt(v4[1]) << 8) + parseInt(v4[2])).toString(16) + ':' +
+				((parseInt(v4[3]) << 8) + parseInt(v4[4])).toString(16);
+		}
+		let halves = ip.split('::');
+		let head = halves[0] ? halves[0].split(':') : [];
+		let tail = halves.length > 1 && halves[1] ? halves[1].split(':') : [];
+		let groups = head.concat(new Array(8 - head.length - tail.length).fill('0'), tail);
+		return {
+			size: 128,
+			value: groups.reduce(function (value, group) {
+				return (value << BigInt(16)) + BigInt(parseInt(group || '0', 16));
+			}, BigInt(0))
+		};
 	}
-	return calculatedData
+	return null;
+}
+
+/**
+ * Parse an IP address or CIDR range (e.g. 10.0.0.0/8), returns null if invalid
+ **/
+function parseCidr (cidr) {
+	let parts = String(cidr).split('/');
+	if (parts.length > 2) return null;
+	let address = parseIp(parts[0]);
+	if (!address) return null;
+	let prefix = parts.length === 2 ? parseInt(parts[1]) : address.size;
+	if (isNaN(prefix) || prefix < 0 || prefix > address.size || (parts.length === 2 && String(prefix) !== parts[1])) return null;
+	address.prefix = prefix;
+	return address;
+}
+exports.parseCidr = parseCidr;
+
+/**
+ * Check if an IP address is inside an IP address or CIDR range
+ **/
+exports.ipMatchesCidr = function (ip, cidr) {
+	let address = parseIp(ip);
+	let range = parseCidr(cidr);
+	if (!address || !range || address.size !== range.size) return false;
+	let shift = BigInt(range.size - range.prefix);
+	return (address.value >> shift) === (range.value >> shift);
 }
 
 /**
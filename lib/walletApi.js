@@ -69,7 +69,9 @@ function apiRequest(method, path, data = null) {
 
                 // Accept all 2xx status codes as success
                 if (res.statusCode < 200 || res.statusCode >= 300) {
-                    reject(new Error(`HTTP ${res.statusCode}: ${responseData}`));
+                    const error = new Error(`HTTP ${res.statusCode}: ${responseData}`);
+                    error.statusCode = res.statusCode;
+                    reject(error);
                     return;
                 }
 
@@ -266,15 +268,18 @@ function sendBasicTransaction(destination, amount) {
 }
 
 /**
- * Send advanced transaction to multiple destinations
+ * Send advanced transaction to multiple destinations, with an optional payment ID
  **/
-function sendAdvancedTransaction(destinations) {
+function sendAdvancedTransaction(destinations, paymentId) {
     const txData = {
         destinations: destinations.map(dest => ({
             address: dest.address,
             amount: dest.amount
         }))
     };
+    if (paymentId) {
+        txData.paymentID = paymentId;
+    }
 
     return apiRequest('POST', '/transactions/send/advanced', txData)
         .then((result) => {
@@ -285,6 +290,49 @@ function sendAdvancedTransaction(destinations) {
         });
 }
 
+/**
+ * Get wallet synchronization status (wallet, daemon and network block counts)
+ **/
+function getStatus() {
+    return apiRequest('GET', '/status');
+}
+
+/**
+ * Get wallet transactions (confirmed) included in the blocks from startHeight to endHeight
+ **/
+function getTransactions(startHeight, endHeight) {
+    return apiRequest('GET', `/transactions/${startHeight}/${endHeight}`)
+        .then((result) => {
+            return result.transactions || [];
+        });
+}
+
+/**
+ * Get wallet transactions not yet included in a block
+ **/
+function getUnconfirmedTransactions() {
+    return apiRequest('GET', '/transactions/unconfirmed')
+        .then((result) => {
+            return result.transactions || [];
+        });
+}
+
+/**
+ * Get a wallet transaction by hash, resolves with null when the wallet does not know it
+ **/
+function getTransaction(hash) {
+    return apiRequest('GET', `/transactions/hash/${encodeURIComponent(hash)}`)
+        .then((result) => {
+            return result.transaction || null;
+        })
+        .catch((error) => {
+            if (error.statusCode === 404) {
+                return null;
+            }
+            throw error;
+        });
+}
+
 /**
  * Check if wallet is loaded
  **/
@@ -307,6 +355,10 @@ exports.getPrimaryAddress = getPrimaryAddress;
 exports.getBalance = getBalance;
 exports.sendBasicTransaction = sendBasicTransaction;
 exports.sendAdvancedTransaction = sendAdvancedTransaction;
+exports.getStatus = getStatus;
+exports.getTransactions = getTransactions;
+exports.getTransaction = getTransaction;
+exports.getUnconfirmedTransactions = getUnconfirmedTransactions;
 exports.isWalletLoaded = isWalletLoaded;
 exports.getWalletAddress = getWalletAddress;
 
@@ -0,0 +1,226 @@
+/**
+ * Cryptonote Node.JS Pool
+ * https://github.com/dvandal/cryptonote-nodejs-pool
+ *
+ * Outbound webhooks (HMAC signed JSON payloads, retries with backoff, dead-letter list)
+ **/
+
+// Load required modules
+let cluster = require('cluster');
+let crypto = require('crypto');
+let http = require('http');
+let https = require('https');
+let url = require('url');
+
+// Initialize log system
+let logSystem = 'webhooks';
+
+let webhooksConfig = config.webhooks || {};
+let endpoints = (webhooksConfig.endpoints || []).filter(endpoint => endpoint.enabled !== false && endpoint.url);
+
+let timeout = (webhooksConfig.timeout || 10) * 1000;
+let maxAttempts = webhooksConfig.maxAttempts || 5;
+// First retry delay in seconds, doubled after every failed attempt
+let retryDelay = webhooksConfig.retryDelay || 10;
+let deadLetterSize = webhooksConfig.deadLetterSize || 1000;
+
+let deadLetterKey = `${config.coin}:webhooks:deadletter`;
+
+// Deliveries waiting for a retry, scored by the time (ms) they are due so they survive a restart
+let retryKey = `${config.coin}:webhooks:retry`;
+let retryPollInterval = 5000;
+
+// Take up to ARGV[2] deliveries due at ARGV[1], a delivery is taken by a single process
+let takeRetriesScript = `
+	local due = redis.call('zrangebyscore', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[2])
+	if #due > 0 then redis.call('zrem', KEYS[1], unpack(due)) end
+	return due
+`;
+
+exports.events = ['blockFound', 'blockUnlocked', 'blockOrphaned', 'paymentSent', 'statusChanged', 'minerBanned'];
+
+/**
+ * Return if webhooks are enabled
+ **/
+exports.enabled = function () {
+	return !!webhooksConfig.enabled && endpoints.length > 0;
+}
+
+/**
+ * Return the HMAC-SHA256 signature of a payload
+ **/
+function sign (secret, body) {
+	return 'sha256=' + crypto.createHmac('sha256', secret || '').update(body).digest('hex');
+}
+exports.sign = sign;
+
+/**
+ * POST a payload to an endpoint, a non 2xx status is an error
+ **/
+function post (endpoint, payload, callback) {
+	let body = JSON.stringify(payload);
+	let options = url.parse(endpoint.url);
+	options.method = 'POST';
+	options.timeout = timeout;
+	options.headers = {
+		'Content-Type': 'application/json',
+		'Content-Length': Buffer.byteLength(body, 'utf8'),
+		'User-Agent': `${config.coin}-pool-webhooks`,
+		'X-Pool-Event': payload.event,
+		'X-Pool-Delivery': payload.id,
+		'X-Pool-Signature': sign(endpoint.secret, body)
+	};
+
+	let done = false;
+	let finish = function (error) {
+		if (done) return;
+		done = true;
+		callback(error);
+	};
+	let req = (options.protocol === 'https:' ? https : http).request(options, function (res) {
+		res.resume();
+		res.on('end', function () {
+			finish(res.statusCode >= 200 && res.statusCode < 300 ? null : 'HTTP ' + res.statusCode);
+		});
+	});
+	req.on('timeout', function () {
+		req.destroy(new Error('Timeout after ' + timeout / 1000 + 's'));
+	});
+	req.on('error', function (error) {
+		finish(error.message);
+	});
+	req.end(body);
+}
+
+/**
+ * Deliver a payload, retrying with an exponential backoff. After the last attempt the delivery goes to the dead-letter list.
+ **/
+function deliver (endpoint, payload, attempt) {
+	post(endpoint, payload, function (error) {
+		if (!error) {
+			if (attempt > 1) log('info', logSystem, 'Delivered %s to %s after %d attempts', [payload.event, endpoint.url, attempt]);
+			return;
+		}
+
+		if (attempt < maxAttempts) {
+			let delay = retryDelay * Math.pow(2, attempt - 1);
+			log('warn', logSystem, 'Delivery of %s to %s failed (%s), retrying in %ds', [payload.event, endpoint.url, error, delay]);
+			redisClient.zadd(retryKey, Date.now() + delay * 1000, JSON.stringify({
+				url: endpoint.url,
+				payload: payload,
+				attempt: attempt + 1
+			}), function (error) {
+				if (error) log('error', logSystem, 'Unable to queue the retry of %s to %s: %j', [payload.event, endpoint.url, error]);
+			});
+			return;
+		}
+
+		log('error', logSystem, 'Delivery of %s to %s failed after %d attempts (%s), moved to the dead-letter list', [payload.event, endpoint.url, attempt, error]);
+		redisClient.multi([
+			['lpush', deadLetterKey, JSON.stringify({
+				url: endpoint.url,
+				payload: payload,
+				error: error,
+				attempts: attempt,
+				time: Date.now() / 1000 | 0
+			})],
+			['ltrim', deadLetterKey, 0, deadLetterSize - 1]
+		]).exec(function (error) {
+			if (error) log('error', logSystem, 'Unable to store dead-letter delivery: %j', [error]);
+		});
+	});
+}
+
+/**
+ * Deliver the webhooks due for a retry
+ **/
+function processRetries () {
+	redisClient.eval(takeRetriesScript, 1, retryKey, Date.now(), 100, function (error, entries) {
+		if (error) {
+			log('error', logSystem, 'Unable to read the webhook retries: %j', [error]);
+			return;
+		}
+		(entries || []).forEach(function (entry) {
+			let retry = JSON.parse(entry);
+			let endpoint = endpoints.filter(e => e.url === retry.url)[0];
+			if (!endpoint) {
+				log('warn', logSystem, 'Dropped retry of %s, %s is no longer configured', [retry.payload.event, retry.url]);
+				return;
+			}
+			deliver(endpoint, retry.payload, retry.attempt);
+		});
+	});
+}
+
+// Every pool process delivers the due retries (the master only reads the events list)
+if (cluster.isWorker && exports.enabled()) {
+	setInterval(processRetries, retryPollInterval);
+}
+
+/**
+ * Send an event to every endpoint subscribed to it (endpoints without an events list get all of them)
+ **/
+exports.send = function (event, data) {
+	if (!exports.enabled()) return;
+
+	let payload = {
+		id: crypto.randomBytes(8).toString('hex'),
+		event: event,
+		coin: config.coin,
+		pool: config.poolHost,
+		time: Date.now() / 1000 | 0,
+		data: data
+	};
+	endpoints.forEach(function (endpoint) {
+		if (endpoint.events && endpoint.events.indexOf(event) === -1) return;
+		deliver(endpoint, payload, 1);
+	});
+}
+
+/**
+ * Return the dead-letter deliveries, newest first
+ **/
+exports.getDeadLetters = function (callback) {
+	redisClient.lrange(deadLetterKey, 0, -1, function (error, entries) {
+		if (error) {
+			callback(error);
+			return;
+		}
+		callback(null, (entries || []).map(entry => JSON.parse(entry)));
+	});
+}
+
+/**
+ * Deliver the dead-letter list again (to the endpoint each one failed on) and empty it.
+ * The list is read and emptied in one transaction, deliveries failing meanwhile are kept for the next retry.
+ **/
+exports.retryDeadLetters = function (callback) {
+	redisClient.multi([
+		['lrange', deadLetterKey, 0, -1],
+		['del', deadLetterKey]
+	]).exec(function (error, replies) {
+		if (error) {
+			callback(error);
+			return;
+		}
+		let deadLetters = (replies[0] || []).map(entry => JSON.parse(entry));
+		deadLetters.forEach(function (deadLetter) {
+			let endpoint = endpoints.filter(e => e.url === deadLetter.url)[0];
+			if (!endpoint) {
+				log('warn', logSystem, 'Dropped dead-letter delivery of %s, %s is no longer configured', [deadLetter.payload.event, deadLetter.url]);
+				return;
+			}
+			deliver(endpoint, deadLetter.payload, 1);
+		});
+		callback(null, deadLetters.length);
+	});
+}
+
+/**
+ * Empty the dead-letter list
+ **/
+exports.clearDeadLetters = function (callback) {
+	redisClient.del(deadLetterKey, function (error) {
+		callback(error);
+	});
+}